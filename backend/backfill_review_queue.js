@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const ReviewCard = require('./models/ReviewCard');
+const Question = require('./models/Question');
+
+// Get MongoDB URI from environment or use the default
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/student-auth';
+
+// Only the fields this script reads from test history
+const testHistorySchema = new mongoose.Schema({
+  studentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  subject: { type: String, required: true },
+  date: { type: Date },
+  questions: [{
+    selectedOption: String,
+    isCorrect: Boolean,
+    topicNumber: String,
+    questionId: mongoose.Schema.Types.ObjectId
+  }]
+});
+
+const TestHistory = mongoose.model('TestHistory', testHistorySchema);
+
+// Which question bank the questions of a test history record come from
+function questionModelFor(subject) {
+  if (subject === 'grammar') return 'GrammarQuestion';
+  if (subject === 'aptitude') return 'AptitudeQuestion';
+  return 'Question';
+}
+
+// Put every question students answered wrongly in past tests on their review queue.
+// Questions that already have a review card are left alone.
+async function backfillReviewQueue() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+
+    const testHistories = await TestHistory.find().sort({ date: 1 }).lean();
+    console.log(`Found ${testHistories.length} test history records`);
+
+    let createdCount = 0;
+
+    for (const test of testHistories) {
+      const questionModel = questionModelFor(test.subject);
+      const missed = (test.questions || []).filter(q =>
+        q.questionId && !q.isCorrect && q.selectedOption !== '' && q.selectedOption !== undefined);
+
+      for (const q of missed) {
+        let subject = test.subject;
+        if (questionModel === 'Question') {
+          const question = await Question.findById(q.questionId).select('subject').lean();
+          if (!question) continue;
+          subject = question.subject;
+        }
+
+        const result = await ReviewCard.updateOne(
+          { studentId: test.studentId, questionId: q.questionId },
+          {
+            $setOnInsert: {
+              questionModel,
+              subject,
+              topicNumber: q.topicNumber,
+              dueDate: new Date(),
+              missedCount: 1,
+              lastMissedAt: test.date,
+              sourceTestId: test._id
+            }
+          },
+          { upsert: true }
+        );
+
+        if (result.upsertedCount > 0) {
+          createdCount++;
+        }
+      }
+    }
+
+    console.log(`Created ${createdCount} review cards`);
+  } catch (error) {
+    console.error('Error backfilling review queue:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+}
+
+// Run the function
+backfillReviewQueue().then(() => {
+  console.log('Done!');
+  process.exit(0);
+}).catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
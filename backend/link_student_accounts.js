@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Student = require('./models/Student');
+
+// Get MongoDB URI from environment or use the default
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/student-auth';
+
+// Only the fields this script reads from user accounts and test history
+const userSchema = new mongoose.Schema({
+  username: String,
+  role: String,
+  student: mongoose.Schema.Types.ObjectId
+});
+
+const testHistorySchema = new mongoose.Schema({
+  studentId: mongoose.Schema.Types.ObjectId
+});
+
+const User = mongoose.model('User', userSchema);
+const TestHistory = mongoose.model('TestHistory', testHistorySchema);
+
+// Link every student account to its Student profile, which used to be matched by
+// username, and move test results recorded under a Student profile's id to the
+// account that owns it. Accounts and profiles without a partner are reported.
+async function linkStudentAccounts() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+
+    const users = await User.find({ role: 'student' }).lean();
+    console.log(`Found ${users.length} student accounts`);
+
+    let linkedCount = 0;
+    const unmatchedUsers = [];
+
+    for (const user of users) {
+      if (user.student && await Student.exists({ _id: user.student })) continue;
+
+      const student = await Student.findOne({ username: user.username }).select('_id').lean();
+      if (!student) {
+        unmatchedUsers.push(user.username);
+        continue;
+      }
+
+      await User.updateOne({ _id: user._id }, { student: student._id });
+      linkedCount++;
+    }
+
+    console.log(`Linked ${linkedCount} accounts to their student profiles`);
+    if (unmatchedUsers.length > 0) {
+      console.log(`No student profile for ${unmatchedUsers.length} accounts:`, unmatchedUsers.join(', '));
+    }
+
+    const linkedUsers = await User.find({ role: 'student', student: { $ne: null } }).select('student').lean();
+    const linkedProfileIds = new Set(linkedUsers.map(u => u.student.toString()));
+    const students = await Student.find().select('username').lean();
+    const profilesWithoutAccount = students.filter(s => !linkedProfileIds.has(s._id.toString()));
+    if (profilesWithoutAccount.length > 0) {
+      console.log(`No account for ${profilesWithoutAccount.length} student profiles:`,
+        profilesWithoutAccount.map(s => s.username).join(', '));
+    }
+
+    let movedCount = 0;
+    for (const user of linkedUsers) {
+      const result = await TestHistory.updateMany({ studentId: user.student }, { studentId: user._id });
+      movedCount += result.modifiedCount;
+    }
+    console.log(`Moved ${movedCount} test history records to their student's account`);
+  } catch (error) {
+    console.error('Error linking student accounts:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+}
+
+// Run the function
+linkStudentAccounts().then(() => {
+  console.log('Done!');
+  process.exit(0);
+}).catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
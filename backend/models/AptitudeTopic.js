@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A topic of the aptitude syllabus. Aptitude questions refer to it by name
+// together with its grade, category and difficulty.
+const aptitudeTopicSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    required: true,
+    enum: ['11', '12']
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['quantitative', 'logical', 'verbal']
+  },
+  difficulty: {
+    type: String,
+    required: true,
+    enum: ['easy', 'medium', 'hard']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Retired topics are hidden from the syllabus and take no new questions
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+aptitudeTopicSchema.index({ grade: 1, category: 1, difficulty: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('AptitudeTopic', aptitudeTopicSchema);
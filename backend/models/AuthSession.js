@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A login on one device. Access tokens name the session they belong to and stop
+// working once it is revoked. The refresh token is rotated on every use and only
+// its hash is stored.
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, logout_all, password_change, password_reset, refresh_token_reuse or
+  // account_deleted
+  revokedReason: {
+    type: String
+  }
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions a while after they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
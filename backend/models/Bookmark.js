@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A question a student saved to revisit, with their own note and tags
+const bookmarkSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  questionModel: {
+    type: String,
+    required: true,
+    enum: ['Question', 'GrammarQuestion', 'AptitudeQuestion']
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'questionModel',
+    required: true
+  },
+  // physics, chemistry, biology, grammar or aptitude
+  subject: {
+    type: String
+  },
+  topicNumber: {
+    type: String
+  },
+  note: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Test session the question was bookmarked from, if any
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestSession'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+bookmarkSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+bookmarkSchema.index({ studentId: 1, tags: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
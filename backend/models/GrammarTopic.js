@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A topic of the grammar curriculum. Grammar questions refer to it by module and
+// topic number. Students unlock a topic by passing its prerequisites, or the topic
+// before it when it has none.
+const grammarTopicSchema = new mongoose.Schema({
+  module: {
+    type: String,
+    required: true,
+    enum: ['beginner', 'basic', 'intermediate', 'advanced']
+  },
+  topicNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  ruleExplanation: {
+    type: String,
+    default: ''
+  },
+  examples: [{
+    type: String,
+    trim: true
+  }],
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GrammarTopic'
+  }],
+  // Position within the module
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Retired topics leave the curriculum and no longer hold back the topics after them
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+grammarTopicSchema.index({ module: 1, topicNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model('GrammarTopic', grammarTopicSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A record of a student moving up a level, and the attempt that earned it
+const levelPromotionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  fromStage: {
+    type: Number,
+    required: true
+  },
+  fromLevel: {
+    type: Number,
+    required: true
+  },
+  toStage: {
+    type: Number,
+    required: true
+  },
+  toLevel: {
+    type: Number,
+    required: true
+  },
+  testHistoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestHistory',
+    required: true
+  },
+  testMode: {
+    type: String
+  },
+  score: {
+    type: Number
+  },
+  promotedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+levelPromotionSchema.index({ studentId: 1, subject: 1, promotedAt: -1 });
+// An attempt can earn at most one promotion
+levelPromotionSchema.index({ testHistoryId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LevelPromotion', levelPromotionSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const markingSchemeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Marks for each outcome, before difficulty weights are applied
+  correct: {
+    type: Number,
+    required: true,
+    default: 1,
+    min: 0.01
+  },
+  incorrect: {
+    type: Number,
+    default: 0
+  },
+  unanswered: {
+    type: Number,
+    default: 0
+  },
+  // Multipliers applied to the marks of questions of each difficulty
+  difficultyWeights: {
+    easy: { type: Number, default: 1, min: 0 },
+    medium: { type: Number, default: 1, min: 0 },
+    hard: { type: Number, default: 1, min: 0 }
+  },
+  // Percentage of the maximum marks needed to pass
+  passThreshold: {
+    type: Number,
+    default: 70,
+    min: 0,
+    max: 100
+  },
+  // Subjects, grammar modules or aptitude categories that are graded with this scheme
+  appliesTo: [{
+    _id: false,
+    track: {
+      type: String,
+      required: true,
+      enum: ['subject', 'grammar', 'aptitude']
+    },
+    key: {
+      type: String,
+      required: true
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+markingSchemeSchema.index({ 'appliesTo.track': 1, 'appliesTo.key': 1 });
+
+module.exports = mongoose.model('MarkingScheme', markingSchemeSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A one-time code staff issue so a user can set a new password without knowing
+// the current one. Only the code's hash is stored; it stops working once used,
+// once it expires or once a newer code is issued for the same user.
+const passwordResetCodeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  // Staff member who issued the code
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Wrong guesses; the code stops working after too many
+  failedAttempts: {
+    type: Number,
+    default: 0
+  }
+});
+
+passwordResetCodeSchema.index({ userId: 1, usedAt: 1 });
+// Let MongoDB remove codes a day after they expire
+passwordResetCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetCode', passwordResetCodeSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// One entry in the integrity event stream of a test session. Most events are
+// reported by the browser; IP and user agent changes are detected by the server.
+const proctoringEventSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestSession',
+    required: true
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['visibility_hidden', 'fullscreen_exit', 'copy', 'paste', 'window_blur', 'ip_change', 'user_agent_change']
+  },
+  source: {
+    type: String,
+    enum: ['client', 'server'],
+    default: 'client'
+  },
+  // When it happened according to the browser, and when the server received it
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+});
+
+proctoringEventSchema.index({ sessionId: 1, occurredAt: 1 });
+
+module.exports = mongoose.model('ProctoringEvent', proctoringEventSchema);
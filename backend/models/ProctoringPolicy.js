@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// How many integrity events of each type an attempt may have before it is flagged
+// for admin review. A threshold of 0 never flags. Policies are set per test mode;
+// the 'default' policy covers modes without their own.
+const proctoringPolicySchema = new mongoose.Schema({
+  testMode: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['default', 'practice', 'assessment', 'adaptive', 'mock', 'custom', 'exam', 'grammar_practice', 'aptitude_practice']
+  },
+  thresholds: {
+    visibility_hidden: { type: Number, default: 3, min: 0 },
+    fullscreen_exit: { type: Number, default: 2, min: 0 },
+    copy: { type: Number, default: 1, min: 0 },
+    paste: { type: Number, default: 1, min: 0 },
+    window_blur: { type: Number, default: 5, min: 0 },
+    // Relies on the client's real IP; behind a proxy set TRUST_PROXY (see .env.example)
+    ip_change: { type: Number, default: 1, min: 0 },
+    user_agent_change: { type: Number, default: 1, min: 0 }
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ProctoringPolicy', proctoringPolicySchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// How students move through the levels and stages of a subject. The 'default'
+// rule covers subjects without their own.
+const progressionRuleSchema = new mongoose.Schema({
+  subject: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  levelsPerStage: {
+    type: Number,
+    default: 4,
+    min: 1
+  },
+  // Highest stage a student can reach; empty for no limit
+  maxStage: {
+    type: Number,
+    min: 1
+  },
+  // Percentage needed to advance; when empty the pass mark of the attempt's marking scheme is used
+  passScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Minimum time between two promotions in the subject
+  cooldownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Test modes whose graded attempts can advance a level
+  countedModes: {
+    type: [{
+      type: String,
+      enum: ['practice', 'assessment', 'adaptive', 'custom', 'exam']
+    }],
+    default: ['assessment', 'exam']
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ProgressionRule', progressionRuleSchema);
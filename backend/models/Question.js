@@ -1,10 +1,15 @@
 const mongoose = require('mongoose');
+const Subject = require('./Subject');
 
 const questionSchema = new mongoose.Schema({
+  // Key of an active subject in the Subject catalogue
   subject: { 
     type: String, 
     required: true,
-    enum: ['physics', 'chemistry', 'biology']
+    validate: {
+      validator: async value => Boolean(await Subject.exists({ key: value, active: true })),
+      message: props => `${props.value} is not an active subject`
+    }
   },
   topicNumber: { 
     type: String, 
@@ -31,6 +36,16 @@ const questionSchema = new mongoose.Schema({
     enum: ['easy', 'medium', 'hard'],
     default: 'medium'
   },
+  // Questions can be tagged with a child subject, e.g. biology questions with
+  // botany or zoology for NEET mock exam sections
+  branch: {
+    type: String,
+    default: '',
+    validate: {
+      validator: async value => !value || Boolean(await Subject.exists({ key: value, parent: { $ne: null } })),
+      message: props => `${props.value} is not a subject with a parent subject`
+    }
+  },
   imageUrl: {
     type: String,
     default: ''
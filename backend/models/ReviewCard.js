@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A question the student answered wrongly, scheduled for review with SM-2
+const reviewCardSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  questionModel: {
+    type: String,
+    required: true,
+    enum: ['Question', 'GrammarQuestion', 'AptitudeQuestion']
+  },
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'questionModel',
+    required: true
+  },
+  // physics, chemistry, biology, grammar or aptitude
+  subject: {
+    type: String,
+    required: true
+  },
+  topicNumber: {
+    type: String
+  },
+  // SM-2 scheduling state
+  easeFactor: {
+    type: Number,
+    default: 2.5,
+    min: 1.3
+  },
+  interval: {
+    type: Number,
+    default: 0
+  },
+  repetitions: {
+    type: Number,
+    default: 0
+  },
+  dueDate: {
+    type: Date,
+    default: Date.now
+  },
+  lastReviewedAt: {
+    type: Date
+  },
+  // How many times the question has been answered wrongly in tests or reviews
+  missedCount: {
+    type: Number,
+    default: 0
+  },
+  lastMissedAt: {
+    type: Date
+  },
+  sourceTestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestHistory'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reviewCardSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+reviewCardSchema.index({ studentId: 1, dueDate: 1 });
+
+module.exports = mongoose.model('ReviewCard', reviewCardSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// An exam that students can only sit between set times. The questions are either
+// a fixed set chosen by the admin or drawn from a blueprint for each attempt.
+const scheduledExamSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Subject of the exam's questions, or 'mixed' for fixed sets spanning subjects
+  subject: {
+    type: String,
+    required: true
+  },
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question'
+  }],
+  blueprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestBlueprint'
+  },
+  // Window in which attempts can be started and submitted
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  durationMinutes: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Who may sit the exam; when both are empty the exam is open to every student
+  institutions: [{
+    type: String,
+    trim: true
+  }],
+  studentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  allowedAttempts: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+scheduledExamSchema.index({ endsAt: 1, startsAt: 1 });
+
+module.exports = mongoose.model('ScheduledExam', scheduledExamSchema);
@@ -4,25 +4,17 @@ const studentSchema = new mongoose.Schema({
   studentId: { type: String, required: true, unique: true },
   name: { type: String, required: true },
   username: { type: String, required: true },
-  password: { type: String, required: true },
   email: { type: String },
   phone: { type: String },
   grade: { type: String },
   school: { type: String },
   institution: { type: String, default: 'Default Institution' },
+  batch: { type: String }, // Batch within the institution; teachers see the students of their batches
+  // Level and stage per subject key, e.g. { physics: { level: '1', stage: '1' } }.
+  // The keys are the Subject catalogue's subjects that track progress.
   subjects: {
-    physics: {
-      level: { type: String, default: '1' },
-      stage: { type: String, default: '1' }
-    },
-    chemistry: {
-      level: { type: String, default: '1' },
-      stage: { type: String, default: '1' }
-    },
-    biology: {
-      level: { type: String, default: '1' },
-      stage: { type: String, default: '1' }
-    }
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
   },
   // Topic progress field to track progress by subject and topic number
   topicProgress: {
@@ -33,11 +25,45 @@ const studentSchema = new mongoose.Schema({
         progress: { type: Number, default: 0 },
         completed: { type: Boolean, default: false },
         attemptsCount: { type: Number, default: 0 },
+        lastScore: { type: Number },
+        lastAttemptDate: { type: Date }
+      }
+    },
+    default: {}
+  },
+  // Grammar progress by module and topic number
+  grammarProgress: {
+    type: Map,
+    of: {
+      type: Map,
+      of: {
+        progress: { type: Number, default: 0 },
+        completed: { type: Boolean, default: false },
+        attemptsCount: { type: Number, default: 0 },
+        lastScore: { type: Number },
         lastAttemptDate: { type: Date }
       }
     },
     default: {}
   },
+  // Aptitude progress by grade, category and difficulty
+  aptitudeProgress: {
+    type: Map,
+    of: {
+      type: Map,
+      of: {
+        type: Map,
+        of: {
+          progress: { type: Number, default: 0 },
+          completed: { type: Boolean, default: false },
+          attemptsCount: { type: Number, default: 0 },
+          lastScore: { type: Number },
+          lastAttemptDate: { type: Date }
+        }
+      }
+    },
+    default: {}
+  },
   column1: { type: String },
   column2: { type: String },
   column3: { type: String },
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Catalogue of the subjects questions, levels and leaderboards are organised by.
+// A subject can sit under a parent, e.g. botany and zoology under biology.
+const subjectSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Key of the parent subject, if any
+  parent: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Whether students have a level and stage in this subject
+  tracksProgress: {
+    type: Boolean,
+    default: true
+  },
+  // Retired subjects stay in the catalogue so old results keep their names
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Subject', subjectSchema);
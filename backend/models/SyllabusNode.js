@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One entry of the NEET syllabus: class 11/12 -> subject -> unit -> chapter -> topic.
+// Units sit directly under a class and subject; chapters under a unit; topics
+// under a chapter. A topic's number is the topicNumber questions refer to.
+const syllabusNodeSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['unit', 'chapter', 'topic']
+  },
+  classLevel: {
+    type: String,
+    required: true,
+    enum: ['11', '12']
+  },
+  // Key of a subject in the Subject catalogue
+  subject: {
+    type: String,
+    required: true
+  },
+  // The unit of a chapter or the chapter of a topic
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyllabusNode',
+    default: null
+  },
+  number: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Where the material is covered in the NCERT textbooks, e.g. "Physics Part I, Ch. 4"
+  ncertReference: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Retired entries keep their names for old results but take no new questions
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+syllabusNodeSchema.index({ subject: 1, kind: 1, number: 1 });
+syllabusNodeSchema.index({ parent: 1, order: 1 });
+
+module.exports = mongoose.model('SyllabusNode', syllabusNodeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Describes how an assessment is assembled from the question bank, e.g.
+// "40 questions: 30% easy / 50% medium / 20% hard, at least 3 per topic"
+const testBlueprintSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  questionCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Percentage of the questions at each difficulty; must add up to 100
+  difficultyMix: {
+    easy: { type: Number, default: 0, min: 0, max: 100 },
+    medium: { type: Number, default: 100, min: 0, max: 100 },
+    hard: { type: Number, default: 0, min: 0, max: 100 }
+  },
+  // Topic numbers the questions are drawn from
+  topics: [{
+    type: String,
+    required: true
+  }],
+  minPerTopic: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('TestBlueprint', testBlueprintSchema);
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+
+// A test session is created when a student starts a test. It remembers which
+// questions were served so answers can be graded on the server at submission.
+const testSessionSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  // Question bank the session draws from
+  questionModel: {
+    type: String,
+    enum: ['Question', 'GrammarQuestion', 'AptitudeQuestion'],
+    default: 'Question'
+  },
+  testMode: {
+    type: String,
+    enum: ['practice', 'assessment', 'adaptive', 'mock', 'custom', 'exam', 'grammar_practice', 'aptitude_practice'],
+    required: true
+  },
+  // Grammar tests
+  module: {
+    type: String
+  },
+  // Aptitude tests
+  category: {
+    type: String
+  },
+  grade: {
+    type: String
+  },
+  difficulty: {
+    type: String
+  },
+  topic: {
+    type: String
+  },
+  topicNumber: {
+    type: String
+  },
+  topics: [{
+    type: String
+  }],
+  blueprintId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestBlueprint'
+  },
+  // Scheduled exams: the exam and which of the student's attempts this is
+  scheduledExamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledExam'
+  },
+  attemptNumber: {
+    type: Number
+  },
+  // Sections of a sectioned paper such as a mock exam, in paper order
+  sections: [{
+    _id: false,
+    key: { type: String, required: true },
+    name: { type: String },
+    questionCount: { type: Number }
+  }],
+  durationMinutes: {
+    type: Number
+  },
+  // Answers are no longer accepted after this time
+  expiresAt: {
+    type: Date
+  },
+  // Snapshot of the marking scheme taken when the session started
+  markingScheme: {
+    name: { type: String },
+    correct: { type: Number, default: 1 },
+    incorrect: { type: Number, default: 0 },
+    unanswered: { type: Number, default: 0 },
+    difficultyWeights: {
+      easy: { type: Number, default: 1 },
+      medium: { type: Number, default: 1 },
+      hard: { type: Number, default: 1 }
+    },
+    passThreshold: { type: Number, default: 70 }
+  },
+  // Adaptive practice: current ability estimate and how many questions to serve
+  adaptive: {
+    ability: { type: Number },
+    questionCount: { type: Number }
+  },
+  // Student-built practice tests: the options the test was built from
+  customBuild: {
+    subjects: { type: [String], default: undefined },
+    topics: { type: [String], default: undefined },
+    difficultyMix: {
+      easy: { type: Number },
+      medium: { type: Number },
+      hard: { type: Number }
+    },
+    questionCount: { type: Number },
+    timed: { type: Boolean },
+    durationMinutes: { type: Number },
+    questionFilter: { type: String, enum: ['all', 'unseen', 'wrong'] }
+  },
+  questions: [{
+    questionId: { type: mongoose.Schema.Types.ObjectId, refPath: 'questionModel', required: true },
+    section: { type: String },
+    // Answers recorded before submission, e.g. one at a time in adaptive practice
+    selectedOption: { type: Number },
+    // Server clock: when the question was first shown, when its latest answer
+    // arrived, and the seconds it was open
+    servedAt: { type: Date },
+    answeredAt: { type: Date },
+    timeSpent: { type: Number, default: 0 }
+  }],
+  // Autosaved progress, restored when the student resumes the session.
+  // The open question and since when it has been open drive the server-side timers.
+  currentQuestionIndex: {
+    type: Number,
+    default: 0
+  },
+  currentQuestionSince: {
+    type: Date
+  },
+  reviewMarked: [{
+    type: Number
+  }],
+  optionChanges: {
+    type: Number,
+    default: 0
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Proctoring: the client the session is being taken from, how many integrity
+  // events of each type were recorded, and whether that crossed a policy threshold
+  integrity: {
+    ip: { type: String },
+    userAgent: { type: String },
+    eventCounts: { type: mongoose.Schema.Types.Mixed, default: {} },
+    flagged: { type: Boolean, default: false },
+    flagReasons: [{ type: String }],
+    flaggedAt: { type: Date },
+    reviewOutcome: { type: String, enum: ['cleared', 'confirmed'] },
+    reviewNote: { type: String },
+    reviewedAt: { type: Date }
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted', 'abandoned'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  submittedAt: {
+    type: Date
+  },
+  // Submitted by the server with the autosaved answers once the deadline passed
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  testHistoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestHistory'
+  }
+});
+
+testSessionSchema.index({ studentId: 1, status: 1 });
+testSessionSchema.index({ status: 1, expiresAt: 1 });
+testSessionSchema.index({ status: 1, lastActivityAt: 1 });
+testSessionSchema.index({ 'integrity.flagged': 1, 'integrity.flaggedAt': -1 });
+// One session per attempt number, so concurrent starts cannot exceed an exam's attempt limit
+testSessionSchema.index(
+  { scheduledExamId: 1, studentId: 1, attemptNumber: 1 },
+  { unique: true, partialFilterExpression: { scheduledExamId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('TestSession', testSessionSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+
+// Get MongoDB URI from environment or use the default
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/student-auth';
+
+// Only the fields this script reads from user accounts
+const userSchema = new mongoose.Schema({
+  username: String,
+  password: String,
+  role: String,
+  student: mongoose.Schema.Types.ObjectId
+});
+
+const User = mongoose.model('User', userSchema);
+
+// Remove the plaintext passwords older versions kept on student profiles. A
+// profile without a user account gets one, with the password hashed, so the
+// student can still log in. Profiles whose username is taken by another account
+// keep their password and are reported, so they can be sorted out by hand.
+//
+// Run link_student_accounts.js first: accounts are found through their link to
+// the profile, and the script stops if student accounts are still unlinked.
+async function scrubStudentPasswords() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGODB_URI);
+
+    const studentsCollection = mongoose.connection.db.collection('students');
+
+    const unlinkedUsers = await User.find({ role: 'student', student: null }).select('username').lean();
+    const unlinkedWithProfile = await studentsCollection.countDocuments({
+      username: { $in: unlinkedUsers.map(u => u.username) }
+    });
+    if (unlinkedWithProfile > 0) {
+      console.error(`${unlinkedWithProfile} student accounts are not linked to their profiles yet. ` +
+        'Run link_student_accounts.js first.');
+      return;
+    }
+
+    // The Student model no longer has a password field, so read the raw documents
+    const students = await studentsCollection
+      .find({ password: { $exists: true } })
+      .project({ username: 1, password: 1 })
+      .toArray();
+    console.log(`Found ${students.length} student profiles with a stored password`);
+
+    let createdCount = 0;
+    let scrubbedCount = 0;
+    const conflicts = [];
+
+    for (const student of students) {
+      const account = await User.exists({ student: student._id });
+      if (!account && student.password) {
+        if (await User.exists({ username: student.username })) {
+          conflicts.push(student.username);
+          continue;
+        }
+        await User.create({
+          username: student.username,
+          password: await bcrypt.hash(student.password, 10),
+          role: 'student',
+          student: student._id
+        });
+        createdCount++;
+      }
+
+      await studentsCollection.updateOne({ _id: student._id }, { $unset: { password: '' } });
+      scrubbedCount++;
+    }
+
+    console.log(`Created ${createdCount} missing user accounts`);
+    if (conflicts.length > 0) {
+      console.log(`Username already taken by another account for ${conflicts.length} profiles; ` +
+        'their stored password was kept:', conflicts.join(', '));
+    }
+    console.log(`Removed the stored password from ${scrubbedCount} student profiles`);
+  } catch (error) {
+    console.error('Error scrubbing student passwords:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('MongoDB connection closed.');
+  }
+}
+
+// Run the function
+scrubStudentPasswords().then(() => {
+  console.log('Done!');
+  process.exit(0);
+}).catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -2,12 +2,29 @@ const express = require('express');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const app = express();
 
+// Behind a reverse proxy or load balancer (e.g. Render) req.ip is the proxy's
+// address unless Express trusts it. TRUST_PROXY is the number of proxy hops, or
+// any value Express's 'trust proxy' setting takes. Client IPs feed ip_change
+// proctoring events and the login session list.
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+  const hops = Number(TRUST_PROXY);
+  if (Number.isInteger(hops)) {
+    app.set('trust proxy', hops);
+  } else if (TRUST_PROXY === 'true' || TRUST_PROXY === 'false') {
+    app.set('trust proxy', TRUST_PROXY === 'true');
+  } else {
+    app.set('trust proxy', TRUST_PROXY);
+  }
+}
+
 // Middleware
 app.use(express.json({ limit: '50mb' }));
 // Configure CORS with more permissive settings for debugging
@@ -69,11 +86,15 @@ const connectWithRetry = () => {
     useUnifiedTopology: true,
     serverSelectionTimeoutMS: 5000
   })
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB successfully');
-    // Create initial users after successful connection
-    createAdminUser();
-    createTestStudent();
+    // Seed the catalogues before the initial users, since new students get a
+    // level for each subject. The seed functions log their own errors.
+    await createDefaultSubjects();
+    await createDefaultAptitudeSyllabus();
+    await createAdminUser();
+    await createTestStudent();
+    startStaleSessionSweeper();
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
@@ -99,13 +120,33 @@ connectWithRetry();
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'student'], required: true }
+  role: { type: String, enum: ['admin', 'institution_admin', 'teacher', 'student'], required: true },
+  institution: { type: String }, // Institution an institution admin or teacher belongs to
+  batches: [{ type: String }], // Batches a teacher teaches
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'Student' }, // Profile of a student account
+  mustChangePassword: { type: Boolean, default: false } // Set when someone else chose the password
 });
 
 const User = mongoose.model('User', userSchema);
 
-// JWT Secret
-const JWT_SECRET = process.env.JWT_SECRET || 'neet-admin-secure-jwt-secret-key-2025';
+// JWT Secret. Production must set one; elsewhere a random secret is used, so
+// tokens stop working when the server restarts.
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  console.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using a random secret for this process');
+}
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Access tokens are short-lived; the refresh token issued with them lasts longer
+// and is exchanged for a new pair at /auth/refresh
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How long a password reset code issued by staff stays valid
+const PASSWORD_RESET_CODE_MINUTES = parseInt(process.env.PASSWORD_RESET_CODE_MINUTES) || 60;
 
 // Create default admin user
 const createAdminUser = async () => {
@@ -116,25 +157,44 @@ const createAdminUser = async () => {
       await User.create({
         username: 'admin',
         password: hashedPassword,
-        role: 'admin'
+        role: 'admin',
+        mustChangePassword: true
       });
       console.log('Admin user created successfully');
+      return;
+    }
+
+    // An admin still using the seeded password has to choose a new one
+    const seededAdmin = await User.findOne({ username: 'admin', role: 'admin', mustChangePassword: { $ne: true } });
+    if (seededAdmin && await bcrypt.compare('admin123', seededAdmin.password)) {
+      seededAdmin.mustChangePassword = true;
+      await seededAdmin.save();
+      console.log('Admin user still has the default password; a password change is required');
     }
   } catch (error) {
     console.error('Error creating admin user:', error);
   }
 };
 
-// Create a test student user
+// Create a test student user. Production gets no well-known student login.
 const createTestStudent = async () => {
+  if (process.env.NODE_ENV === 'production') return;
   try {
     const studentExists = await User.findOne({ username: 'student', role: 'student' });
     if (!studentExists) {
       const hashedPassword = await bcrypt.hash('student123', 10);
+      const student = await Student.create({
+        studentId: 'TEST001',
+        name: 'Test Student',
+        username: 'student',
+        subjects: await initialSubjectLevels()
+      });
       await User.create({
         username: 'student',
         password: hashedPassword,
-        role: 'student'
+        role: 'student',
+        student: student._id,
+        mustChangePassword: true
       });
       console.log('Test student user created successfully');
     }
@@ -143,6 +203,88 @@ const createTestStudent = async () => {
   }
 };
 
+// Create the default subject catalogue
+const createDefaultSubjects = async () => {
+  try {
+    const subjectCount = await Subject.countDocuments();
+    if (subjectCount === 0) {
+      await Subject.insertMany([
+        { key: 'physics', name: 'Physics', order: 1 },
+        { key: 'chemistry', name: 'Chemistry', order: 2 },
+        { key: 'biology', name: 'Biology', order: 3 },
+        { key: 'botany', name: 'Botany', parent: 'biology', order: 4, tracksProgress: false },
+        { key: 'zoology', name: 'Zoology', parent: 'biology', order: 5, tracksProgress: false }
+      ]);
+      console.log('Default subjects created successfully');
+    }
+  } catch (error) {
+    console.error('Error creating default subjects:', error);
+  }
+};
+
+// Create the default aptitude syllabus
+const createDefaultAptitudeSyllabus = async () => {
+  try {
+    const topicCount = await AptitudeTopic.countDocuments();
+    if (topicCount === 0) {
+      const syllabus = {
+        "11": {
+          "quantitative": {
+            "easy": ["Number System", "Simplification & Approximation", "LCM & HCF"],
+            "medium": ["Ratio & Proportion", "Percentage", "Averages"],
+            "hard": ["Time, Speed & Distance", "Time & Work"]
+          },
+          "logical": {
+            "easy": ["Number Series", "Alphabet Series", "Direction Sense"],
+            "medium": ["Coding-Decoding", "Order & Ranking", "Blood Relations (basic)"],
+            "hard": ["Blood Relations (complex)", "Calendar Problems", "Clock Problems"]
+          },
+          "verbal": {
+            "easy": ["Synonyms", "Antonyms", "Vocabulary Usage"],
+            "medium": ["Spotting Errors", "Fill in the Blanks"],
+            "hard": ["Sentence Improvement", "Reading Comprehension (basic)"]
+          }
+        },
+        "12": {
+          "quantitative": {
+            "easy": ["Profit & Loss", "Simple Interest", "Mixtures & Alligation"],
+            "medium": ["Compound Interest", "Boats & Streams", "Pipes & Cisterns"],
+            "hard": ["Mensuration (2D & 3D)", "Permutations & Combinations", "Probability", "Data Interpretation"]
+          },
+          "logical": {
+            "easy": ["Syllogism", "Statements & Conclusions"],
+            "medium": ["Seating Arrangement (Linear & Circular)", "Input-Output"],
+            "hard": ["Puzzles", "Data Sufficiency"]
+          },
+          "verbal": {
+            "easy": ["Idioms & Phrases", "Active & Passive Voice"],
+            "medium": ["Cloze Test", "Direct & Indirect Speech"],
+            "hard": ["Para Jumbles", "Reading Comprehension (advanced)"]
+          }
+        }
+      };
+
+      const topics = [];
+      Object.keys(syllabus).forEach(grade => {
+        Object.keys(syllabus[grade]).forEach(category => {
+          Object.keys(syllabus[grade][category]).forEach(difficulty => {
+            syllabus[grade][category][difficulty].forEach((name, order) => {
+              topics.push({ grade, category, difficulty, name, order });
+            });
+          });
+        });
+      });
+
+      await AptitudeTopic.insertMany(topics);
+      console.log('Default aptitude syllabus created successfully');
+    }
+  } catch (error) {
+    console.error('Error creating default aptitude syllabus:', error);
+  }
+};
+
+// Import Subject model
+const Subject = require('./models/Subject');
 // Import Student model
 const Student = require('./models/Student');
 // Import Question model
@@ -152,11 +294,28 @@ const GrammarQuestion = require('./models/GrammarQuestion');
 
 // Test History Schema
 const testHistorySchema = new mongoose.Schema({
-  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Student', required: true },
+  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // The student's User account
   subject: { type: String, required: true },
   stage: { type: String, default: '1' }, // Legacy field, keep for backward compatibility
   level: { type: String, default: '1' }, // Legacy field, keep for backward compatibility
   score: { type: Number, required: true },
+  // Marking scheme the attempt was graded with, and the raw marks it earned
+  markingScheme: {
+    name: { type: String },
+    correct: { type: Number, default: 1 },
+    incorrect: { type: Number, default: 0 },
+    unanswered: { type: Number, default: 0 },
+    difficultyWeights: {
+      easy: { type: Number, default: 1 },
+      medium: { type: Number, default: 1 },
+      hard: { type: Number, default: 1 }
+    },
+    passThreshold: { type: Number, default: 70 }
+  },
+  marks: {
+    obtained: { type: Number },
+    maximum: { type: Number }
+  },
   passedLevel: { type: Boolean, default: false },
   totalTime: { type: Number, required: true }, // in minutes
   questions: [{
@@ -169,14 +328,37 @@ const testHistorySchema = new mongoose.Schema({
     explanation: String,
     topicNumber: String, // Track which topic a question belongs to
     difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
+    section: String, // Paper section for mock exams
+    marks: Number, // Marks awarded under the test's marking scheme
     attemptCount: { type: Number, default: 1 }, // Track if this question was attempted multiple times
     questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' } // Reference to original question
   }],
   date: { type: Date, default: Date.now },
   // Fields for topic-based tests
-  testMode: { type: String, enum: ['practice', 'assessment'], required: true }, // Indicates if this is a practice or assessment test
+  testMode: { type: String, enum: ['practice', 'assessment', 'adaptive', 'mock', 'custom', 'exam', 'grammar_practice', 'aptitude_practice'], required: true }, // Indicates which kind of test this was
+  module: { type: String }, // Grammar module for grammar tests
+  category: { type: String }, // Aptitude category for aptitude tests
+  grade: { type: String }, // Aptitude grade for aptitude tests
+  difficulty: { type: String }, // Aptitude difficulty for aptitude tests
+  topic: { type: String }, // Aptitude topic, if the test covered a single one
   topicNumber: { type: String }, // Topic number for practice tests
   topics: [{ type: String }], // Array of topics for assessment tests
+  blueprintId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestBlueprint' }, // Blueprint an assessment was drawn from
+  scheduledExamId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledExam' }, // Scheduled exam the attempt belongs to
+  // Options a student-built practice test was generated from, so it can be run again
+  customBuild: {
+    subjects: { type: [String], default: undefined },
+    topics: { type: [String], default: undefined },
+    difficultyMix: {
+      easy: { type: Number },
+      medium: { type: Number },
+      hard: { type: Number }
+    },
+    questionCount: { type: Number },
+    timed: { type: Boolean },
+    durationMinutes: { type: Number },
+    questionFilter: { type: String }
+  },
   
   // Enhanced analytics fields
   deviceInfo: {
@@ -194,7 +376,7 @@ const testHistorySchema = new mongoose.Schema({
     correctAnswers: { type: Number, default: 0 },
     incorrectAnswers: { type: Number, default: 0 },
     unanswered: { type: Number, default: 0 },
-    topicWisePerformance: mongoose.Schema.Types.Mixed, // Object with topic numbers as keys and scores as values
+    topicWisePerformance: mongoose.Schema.Types.Mixed, // Scores keyed by "subject:topicNumber"
     averageTimePerQuestion: { type: Number, default: 0 }
   },
   userActions: {
@@ -213,8 +395,11 @@ const testHistorySchema = new mongoose.Schema({
 
 const TestHistory = mongoose.model('TestHistory', testHistorySchema);
 
+// Routes a token still opens while its user has to change their password
+const PASSWORD_CHANGE_PATHS = ['/auth/change-password', '/auth/logout', '/auth/logout-all', '/auth/sessions'];
+
 // Middleware to authenticate token - enhanced version
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   console.log('Authenticating token...');
   const authHeader = req.headers['authorization'];
   console.log('Authorization header:', authHeader ? 'Present' : 'Missing');
@@ -234,13 +419,34 @@ const authenticateToken = (req, res, next) => {
     const decoded = jwt.verify(token, JWT_SECRET);
     
     // Ensure the token has the required fields
-    if (!decoded.userId || !decoded.role) {
+    if (!decoded.userId || !decoded.role || !decoded.sid) {
       console.error('Token missing required fields');
       return res.status(403).json({ 
         message: 'Invalid token format',
         error: 'INVALID_TOKEN_FORMAT'
       });
     }
+
+    // The login session the token belongs to must not have been revoked
+    const authSession = await AuthSession.findOne({
+      _id: decoded.sid,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('_id').lean();
+    if (!authSession) {
+      console.log('Token belongs to a revoked or expired session:', decoded.sid);
+      return res.status(401).json({
+        message: 'Session has ended. Please log in again.',
+        error: 'SESSION_REVOKED'
+      });
+    }
+
+    if (decoded.mustChangePassword && !PASSWORD_CHANGE_PATHS.includes(req.path)) {
+      return res.status(403).json({
+        message: 'You must change your password before continuing',
+        error: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
     
     console.log('Token decoded successfully:', { 
       userId: decoded.userId,
@@ -252,6 +458,13 @@ const authenticateToken = (req, res, next) => {
     next();
   } catch (error) {
     console.error('Token verification failed:', error.message);
+    // Expired access tokens can be renewed with the refresh token
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        message: 'Token expired',
+        error: 'TOKEN_EXPIRED'
+      });
+    }
     res.status(403).json({ 
       message: 'Invalid token',
       error: 'INVALID_TOKEN'
@@ -259,32 +472,395 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
-// Add this middleware after the authenticateToken middleware
-const adminOnly = (req, res, next) => {
-  // Check if the user is an admin
-  if (req.user.role !== 'admin') {
-    console.log('Unauthorized admin access attempt:', req.user);
+// What each role may do. Routes ask for a permission rather than a role, and
+// staff below platform admin only see the students in their scope.
+const ROLE_PERMISSIONS = {
+  admin: [
+    'students:read', 'students:write', 'results:read', 'results:review', 'staff:manage',
+    'questions:manage', 'curriculum:manage', 'exams:manage', 'points:manage'
+  ],
+  // Limited to the students of one institution
+  institution_admin: ['students:read', 'students:write', 'results:read', 'results:review', 'staff:manage'],
+  // Limited to the students of their own batches
+  teacher: ['students:read', 'results:read', 'results:review'],
+  student: ['tests:take']
+};
+
+function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Middleware that lets a request through only if the user's role has the permission.
+// Use after authenticateToken.
+const requirePermission = permission => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    console.log('Unauthorized access attempt:', { user: req.user, permission });
     return res.status(403).json({ 
-      message: 'Access denied. Admin privileges required.',
-      error: 'UNAUTHORIZED_ROLE'
+      message: 'Access denied. You do not have permission to do this.',
+      error: 'UNAUTHORIZED_ROLE',
+      permission
     });
   }
   next();
 };
 
-// Add studentOnly middleware similar to adminOnly
-const studentOnly = (req, res, next) => {
-  // Check if the user is a student
-  if (req.user.role !== 'student') {
-    console.log('Unauthorized student access attempt:', req.user);
-    return res.status(403).json({ 
-      message: 'Access denied. Student privileges required.',
-      error: 'UNAUTHORIZED_ROLE'
-    });
+// The students a staff member may see, as a Student query filter. Platform admins
+// see everyone; institution admins their institution; teachers their batches.
+// Scoped staff without an institution see nobody.
+async function studentScopeFilter(user) {
+  if (user.role === 'admin') return {};
+
+  if (!user.scope) {
+    const account = await User.findById(user.userId).select('institution batches').lean();
+    user.scope = {
+      institution: account?.institution || null,
+      batches: account?.batches || []
+    };
   }
-  next();
+
+  if (!user.scope.institution) {
+    return { _id: null };
+  }
+  if (user.role === 'institution_admin') {
+    return { institution: user.scope.institution };
+  }
+  if (user.role === 'teacher') {
+    return { institution: user.scope.institution, batch: { $in: user.scope.batches } };
+  }
+  // Any other role sees nobody
+  return { _id: null };
+}
+
+// Whether a Student is within the staff member's scope
+async function isStudentInScope(user, studentId) {
+  if (user.role === 'admin') return true;
+  return Boolean(await Student.exists({ _id: studentId, ...await studentScopeFilter(user) }));
+}
+
+// Ids results in scope may be stored under. Test results name the student's User
+// account, older records the Student document, so both are returned. Null means
+// no restriction.
+async function scopedResultOwnerIds(user) {
+  if (user.role === 'admin') return null;
+
+  const students = await Student.find(await studentScopeFilter(user)).select('_id').lean();
+  const users = await User.find({ student: { $in: students.map(s => s._id) } })
+    .select('_id')
+    .lean();
+  return [...students.map(s => s._id), ...users.map(u => u._id)];
+}
+
+// Populate a result's owner with the Student profile linked to the account
+const RESULT_STUDENT_POPULATE = {
+  path: 'studentId',
+  select: 'student',
+  populate: { path: 'student', select: 'name username studentId' }
 };
 
+// Whether a result owned by the given id is within the staff member's scope
+async function isResultInScope(user, ownerId) {
+  const ownerIds = await scopedResultOwnerIds(user);
+  return ownerIds === null || ownerIds.some(id => String(id) === String(ownerId));
+}
+
+// =====================================================
+// AUTH SESSION ROUTES
+// =====================================================
+
+// Import Auth Session model
+const AuthSession = require('./models/AuthSession');
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user._id,
+      role: user.role,
+      username: user.username,
+      studentId: user.student,
+      mustChangePassword: Boolean(user.mustChangePassword),
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Refresh tokens are "<session id>.<random secret>"; only the hash is stored
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// Open a login session for a user and issue its first access and refresh tokens
+async function startAuthSession(user, req) {
+  const session = new AuthSession({
+    userId: user._id,
+    refreshTokenHash: 'pending',
+    ...clientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return {
+    token: signAccessToken(user, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+}
+
+// End every open login session of a user, e.g. after a password change.
+// Returns how many sessions were revoked.
+async function revokeUserSessions(userId, reason) {
+  const result = await AuthSession.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+// Exchange a refresh token for a new access token and a new refresh token. A
+// refresh token that has already been used ends its session, since it has
+// probably been stolen.
+app.post('/auth/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const [sessionId] = refreshToken.split('.');
+    const session = mongoose.Types.ObjectId.isValid(sessionId) ? await AuthSession.findById(sessionId) : null;
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ message: 'Session has ended. Please log in again.', error: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const nextRefreshToken = newRefreshToken(session._id);
+
+    // Rotate atomically so the same refresh token cannot be redeemed twice
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      { refreshTokenHash: hashToken(nextRefreshToken), lastUsedAt: new Date() },
+      { new: true }
+    );
+
+    if (!rotated) {
+      console.log('Refresh token reuse detected for session:', session._id);
+      await AuthSession.updateOne(
+        { _id: session._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+      );
+      return res.status(401).json({ message: 'Session has ended. Please log in again.', error: 'REFRESH_TOKEN_REUSED' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await AuthSession.updateOne({ _id: session._id }, { revokedAt: new Date(), revokedReason: 'account_deleted' });
+      return res.status(401).json({ message: 'Session has ended. Please log in again.', error: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    res.json({
+      token: signAccessToken(user, session._id),
+      refreshToken: nextRefreshToken,
+      refreshTokenExpiresAt: rotated.expiresAt,
+      role: user.role,
+      username: user.username,
+      mustChangePassword: user.mustChangePassword
+    });
+  } catch (error) {
+    console.error('Error refreshing token:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Log out of the current session
+app.post('/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await AuthSession.updateOne(
+      { _id: req.user.sid, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Log out of every session of the current user, on all devices
+app.post('/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user.userId, 'logout_all');
+    res.json({ message: 'Logged out of all devices', revokedCount });
+  } catch (error) {
+    console.error('Error logging out of all sessions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List the current user's open sessions
+app.get('/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastUsedAt: -1 })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .lean();
+
+    res.json(sessions.map(session => ({
+      ...session,
+      current: String(session._id) === String(req.user.sid)
+    })));
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// PASSWORD ROUTES
+// =====================================================
+
+// Import Password Reset Code model
+const PasswordResetCode = require('./models/PasswordResetCode');
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_RESET_CODE_ATTEMPTS = 5;
+
+// Why a new password cannot be used, or null when it can
+function passwordPolicyError(password) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+// Give a user a new password of their choosing. Unused reset codes are dropped
+// and every login session is ended.
+async function setUserPassword(user, password, reason) {
+  user.password = await bcrypt.hash(password, 10);
+  user.mustChangePassword = false;
+  await user.save();
+
+  await PasswordResetCode.deleteMany({ userId: user._id, usedAt: null });
+  await revokeUserSessions(user._id, reason);
+}
+
+// Issue a one-time reset code for a user, replacing any unused one
+async function issueResetCode(user, issuedBy) {
+  await PasswordResetCode.deleteMany({ userId: user._id, usedAt: null });
+
+  const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+  const resetCode = await PasswordResetCode.create({
+    userId: user._id,
+    codeHash: hashToken(code),
+    issuedBy,
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_CODE_MINUTES * 60 * 1000)
+  });
+
+  return { code, expiresAt: resetCode.expiresAt };
+}
+
+// Change the current user's password. Every session is ended, so the response
+// carries tokens for a new one.
+app.post('/auth/change-password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const policyError = passwordPolicyError(newPassword);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    await setUserPassword(user, newPassword, 'password_change');
+    const { token, refreshToken, refreshTokenExpiresAt } = await startAuthSession(user, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      refreshTokenExpiresAt,
+      role: user.role,
+      username: user.username,
+      mustChangePassword: user.mustChangePassword
+    });
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Set a new password with a reset code issued by staff
+app.post('/auth/reset-password', async (req, res) => {
+  try {
+    const { username, code, newPassword } = req.body;
+    if (!username || !code) {
+      return res.status(400).json({ message: 'Username and reset code are required' });
+    }
+
+    const policyError = passwordPolicyError(newPassword);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+
+    const invalidCode = { message: 'Invalid or expired reset code', error: 'INVALID_RESET_CODE' };
+
+    const user = await User.findOne({ username: String(username) });
+    const resetCode = user && await PasswordResetCode.findOne({
+      userId: user._id,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      failedAttempts: { $lt: MAX_RESET_CODE_ATTEMPTS }
+    });
+    if (!resetCode) {
+      return res.status(400).json(invalidCode);
+    }
+
+    if (hashToken(String(code).trim().toUpperCase()) !== resetCode.codeHash) {
+      await PasswordResetCode.updateOne({ _id: resetCode._id }, { $inc: { failedAttempts: 1 } });
+      return res.status(400).json(invalidCode);
+    }
+
+    // Mark the code used atomically so it cannot be redeemed twice
+    const redeemed = await PasswordResetCode.findOneAndUpdate(
+      { _id: resetCode._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+    if (!redeemed) {
+      return res.status(400).json(invalidCode);
+    }
+
+    await setUserPassword(user, newPassword, 'password_reset');
+    res.json({ message: 'Password reset successfully. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
 // Login Route
 app.post('/login', async (req, res) => {
   try {
@@ -305,22 +881,17 @@ app.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    console.log('Password verified, generating token');
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        role: user.role,
-        username: user.username  // Add username to token
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }  // Extend token lifetime to 24 hours
-    );
+    console.log('Password verified, generating tokens');
+    const { token, refreshToken, refreshTokenExpiresAt } = await startAuthSession(user, req);
 
     console.log('Login successful for user:', username);
     res.json({ 
       token, 
+      refreshToken,
+      refreshTokenExpiresAt,
       role: user.role,
-      username: user.username  // Return username in response
+      username: user.username,  // Return username in response
+      mustChangePassword: user.mustChangePassword
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -331,9 +902,28 @@ app.post('/login', async (req, res) => {
 // Student Management Routes (Admin only)
 
 // Create a new student
-app.post('/admin/students', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/students', authenticateToken, requirePermission('students:write'), async (req, res) => {
   try {
-    const { studentId, name, username, password, subjects, institution, column1, column2, column3, column4, column5 } = req.body;
+    const { studentId, name, username, password, subjects, batch, column1, column2, column3, column4, column5 } = req.body;
+    let { institution } = req.body;
+
+    // Institution admins can only add students to their own institution
+    const scope = await studentScopeFilter(req.user);
+    if (req.user.role !== 'admin') {
+      if (!scope.institution) {
+        return res.status(403).json({ message: 'Your account is not assigned to an institution' });
+      }
+      if (institution && institution !== scope.institution) {
+        return res.status(403).json({ message: 'You can only add students to your own institution' });
+      }
+      institution = scope.institution;
+    }
+    
+    // The password only goes to the student's user account
+    const policyError = passwordPolicyError(password);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
     
     // Check if student ID already exists
     const existingStudentId = await Student.findOne({ studentId });
@@ -341,8 +931,8 @@ app.post('/admin/students', authenticateToken, adminOnly, async (req, res) => {
       return res.status(400).json({ message: 'Student ID already exists' });
     }
 
-    // Check if username already exists
-    const existingUsername = await Student.findOne({ username });
+    // Check if username already exists, for a student or any other account
+    const existingUsername = await Student.findOne({ username }) || await User.exists({ username });
     if (existingUsername) {
       return res.status(400).json({ message: 'Username already exists' });
     }
@@ -352,14 +942,9 @@ app.post('/admin/students', authenticateToken, adminOnly, async (req, res) => {
       studentId,
       name,
       username,
-      password,
       institution: institution || 'Default Institution',
-      subjects: subjects || {
-        physics: { level: '1', stage: '1' },
-        chemistry: { level: '1', stage: '1' },
-        botany: { level: '1', stage: '1' },
-        zoology: { level: '1', stage: '1' }
-      },
+      batch,
+      subjects: subjects || await initialSubjectLevels(),
       column1,
       column2,
       column3,
@@ -369,12 +954,14 @@ app.post('/admin/students', authenticateToken, adminOnly, async (req, res) => {
 
     await newStudent.save();
 
-    // Also create a user account for the student
+    // Also create a user account for the student, linked to the profile
     const hashedPassword = await bcrypt.hash(password, 10);
     await User.create({
       username,
       password: hashedPassword,
-      role: 'student'
+      role: 'student',
+      student: newStudent._id,
+      mustChangePassword: true
     });
 
     res.status(201).json({ message: 'Student added successfully', student: newStudent });
@@ -385,11 +972,11 @@ app.post('/admin/students', authenticateToken, adminOnly, async (req, res) => {
 });
 
 // Get all students with detailed information
-app.get('/admin/students', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/students', authenticateToken, requirePermission('students:read'), async (req, res) => {
   console.log('GET /admin/students endpoint called');
   try {
     console.log('Fetching students from database...');
-    const students = await Student.find();
+    const students = await Student.find(await studentScopeFilter(req.user));
     console.log('Students found:', students.length);
     res.json(students);
   } catch (error) {
@@ -399,9 +986,9 @@ app.get('/admin/students', authenticateToken, adminOnly, async (req, res) => {
 });
 
 // Get a specific student
-app.get('/admin/students/:id', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/students/:id', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await Student.findOne({ _id: req.params.id, ...await studentScopeFilter(req.user) });
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
@@ -414,22 +1001,47 @@ app.get('/admin/students/:id', authenticateToken, adminOnly, async (req, res) =>
 });
 
 // Update a student
-app.put('/admin/students/:id', authenticateToken, adminOnly, async (req, res) => {
+app.put('/admin/students/:id', authenticateToken, requirePermission('students:write'), async (req, res) => {
   try {
-    const { studentId, name, username, password, subjects, institution, column1, column2, column3, column4, column5 } = req.body;
+    const { studentId, name, username, password, subjects, institution, batch, column1, column2, column3, column4, column5 } = req.body;
     
-    // Find student by ID
-    const student = await Student.findById(req.params.id);
+    // Find student by ID, among the students the user may manage
+    const scope = await studentScopeFilter(req.user);
+    const student = await Student.findOne({ _id: req.params.id, ...scope });
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
+
+    if (scope.institution !== undefined && institution && institution !== scope.institution) {
+      return res.status(403).json({ message: 'You cannot move students to another institution' });
+    }
     
+    // Passwords are only kept hashed on the user account, so any password sent
+    // replaces the current one
+    const passwordChanged = Boolean(password);
+    if (passwordChanged) {
+      const policyError = passwordPolicyError(password);
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
+      }
+    }
+
+    // A new username must not belong to another account
+    const user = await User.findOne({ student: student._id });
+    if (username && username !== student.username) {
+      const usernameTaken = await Student.exists({ username, _id: { $ne: student._id } }) ||
+        await User.exists({ username, _id: { $ne: user ? user._id : null } });
+      if (usernameTaken) {
+        return res.status(400).json({ message: 'Username already exists' });
+      }
+    }
+
     // Update student fields
     student.studentId = studentId || student.studentId;
     student.name = name || student.name;
     student.username = username || student.username;
-    student.password = password || student.password;
     student.institution = institution || student.institution;
+    student.batch = batch !== undefined ? batch : student.batch;
     student.subjects = subjects || student.subjects;
     student.column1 = column1 !== undefined ? column1 : student.column1;
     student.column2 = column2 !== undefined ? column2 : student.column2;
@@ -439,15 +1051,18 @@ app.put('/admin/students/:id', authenticateToken, adminOnly, async (req, res) =>
 
     await student.save();
 
-    // If password is changed, update the user account as well
-    if (password !== student.password) {
-      const user = await User.findOne({ username: student.username });
-      if (user) {
-        const hashedPassword = await bcrypt.hash(password, 10);
-        await User.findByIdAndUpdate(user._id, { 
-          username, 
-          password: hashedPassword 
-        });
+    // Keep the linked user account's username in step. If the password is
+    // changed, update it as well and log the student out everywhere; staff know
+    // the new password, so the student has to choose their own at next login.
+    if (user) {
+      const update = { username: student.username };
+      if (passwordChanged) {
+        update.password = await bcrypt.hash(password, 10);
+        update.mustChangePassword = true;
+      }
+      await User.findByIdAndUpdate(user._id, update);
+      if (passwordChanged) {
+        await revokeUserSessions(user._id, 'password_change');
       }
     }
 
@@ -459,10 +1074,10 @@ app.put('/admin/students/:id', authenticateToken, adminOnly, async (req, res) =>
 });
 
 // Delete a student
-app.delete('/admin/students/:id', authenticateToken, adminOnly, async (req, res) => {
+app.delete('/admin/students/:id', authenticateToken, requirePermission('students:write'), async (req, res) => {
   try {
-    // Check if student exists
-    const student = await Student.findById(req.params.id);
+    // Check if student exists among the students the user may manage
+    const student = await Student.findOne({ _id: req.params.id, ...await studentScopeFilter(req.user) });
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
@@ -471,9 +1086,10 @@ app.delete('/admin/students/:id', authenticateToken, adminOnly, async (req, res)
     await Student.findByIdAndDelete(req.params.id);
 
     // Also delete the user account
-    const user = await User.findOne({ username: student.username });
+    const user = await User.findOne({ student: student._id });
     if (user) {
       await User.findByIdAndDelete(user._id);
+      await revokeUserSessions(user._id, 'account_deleted');
     }
 
     res.json({ message: 'Student deleted successfully' });
@@ -483,90 +1099,274 @@ app.delete('/admin/students/:id', authenticateToken, adminOnly, async (req, res)
   }
 });
 
-// Student Routes (for student users)
-
-// Get current student data
-app.get('/student/profile', authenticateToken, studentOnly, async (req, res) => {
+// Issue a one-time password reset code for a student. The student redeems it
+// at /auth/reset-password before it expires.
+app.post('/admin/students/:id/reset-code', authenticateToken, requirePermission('students:write'), async (req, res) => {
   try {
-    // Find the user to get the username
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Student not found' });
     }
 
-    // Find the student data using the username
-    const student = await Student.findOne({ username: user.username });
+    const student = await Student.findOne({ _id: req.params.id, ...await studentScopeFilter(req.user) });
     if (!student) {
-      return res.status(404).json({ message: 'Student data not found' });
+      return res.status(404).json({ message: 'Student not found' });
     }
 
-    // Get a plain JavaScript object from the Mongoose document
-    const studentObj = student.toObject();
-    
-    // Check if req.query.force is truthy - this means we want to force a direct DB check
-    if (req.query.force) {
-      console.log('Force refresh requested for student profile');
-      
-      // Connect to MongoDB directly to get full subject data
-      try {
-        const directDb = mongoose.connection.db;
-        const studentsCollection = directDb.collection('students');
-        
-        // Find the student directly
-        const rawStudent = await studentsCollection.findOne({ username: user.username });
-        
-        // Update the subjects with any capitalized versions
-        if (rawStudent && rawStudent.subjects) {
-          console.log('Raw subjects from DB:', Object.keys(rawStudent.subjects));
-          
-          // Replace subjects with the raw version from the DB
-          studentObj.subjects = rawStudent.subjects;
-          
-          console.log('Updated student object with raw subjects:', Object.keys(studentObj.subjects));
-        }
-      } catch (dbErr) {
-        console.error('Error getting raw student data:', dbErr);
-        // Continue with the normal response if direct DB access fails
-      }
+    const user = await User.findOne({ student: student._id });
+    if (!user) {
+      return res.status(404).json({ message: 'Student has no user account' });
     }
-    
-    // Make sure we always have capitalized versions of subjects
-    if (studentObj.subjects) {
-      const subjects = studentObj.subjects;
-      
-      // For each lowercase subject, also add a capitalized version if not present
-      if (subjects.physics && !subjects.Physics) {
-        subjects.Physics = { ...subjects.physics };
-      }
-      
-      if (subjects.chemistry && !subjects.Chemistry) {
-        subjects.Chemistry = { ...subjects.chemistry };
-      }
-      
-      if (subjects.botany && !subjects.Botany) {
-        subjects.Botany = { ...subjects.botany };
+
+    const { code, expiresAt } = await issueResetCode(user, req.user.userId);
+    res.status(201).json({ message: 'Reset code issued', username: user.username, code, expiresAt });
+  } catch (error) {
+    console.error('Error issuing student reset code:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Staff Management Routes
+
+const STAFF_ROLES = ['admin', 'institution_admin', 'teacher'];
+
+// Staff accounts a user may manage: platform admins manage all staff,
+// institution admins the teachers of their institution
+async function manageableStaffFilter(user) {
+  if (user.role === 'admin') {
+    return { role: { $in: STAFF_ROLES } };
+  }
+  const scope = await studentScopeFilter(user);
+  if (!scope.institution) return { _id: null };
+  return { role: 'teacher', institution: scope.institution };
+}
+
+function toStaffResponse(user) {
+  return {
+    _id: user._id,
+    username: user.username,
+    role: user.role,
+    institution: user.institution,
+    batches: user.batches || []
+  };
+}
+
+// List staff accounts
+app.get('/admin/staff', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const staff = await User.find(await manageableStaffFilter(req.user)).sort({ role: 1, username: 1 }).lean();
+    res.json(staff.map(toStaffResponse));
+  } catch (error) {
+    console.error('Error fetching staff:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a staff account. Institution admins can only create teachers for
+// their own institution.
+app.post('/admin/staff', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    const { username, password, role, batches } = req.body;
+    let { institution } = req.body;
+
+    if (!username || !password || !role) {
+      return res.status(400).json({ message: 'Username, password and role are required' });
+    }
+    const policyError = passwordPolicyError(password);
+    if (policyError) {
+      return res.status(400).json({ message: policyError });
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${STAFF_ROLES.join(', ')}` });
+    }
+
+    if (req.user.role !== 'admin') {
+      const scope = await studentScopeFilter(req.user);
+      if (role !== 'teacher' || (institution && institution !== scope.institution)) {
+        return res.status(403).json({ message: 'You can only create teachers for your own institution' });
       }
-      
-      if (subjects.zoology && !subjects.Zoology) {
-        subjects.Zoology = { ...subjects.zoology };
+      institution = scope.institution;
+    }
+
+    if (role !== 'admin' && !institution) {
+      return res.status(400).json({ message: 'Institution is required for institution admins and teachers' });
+    }
+
+    if (await User.exists({ username })) {
+      return res.status(400).json({ message: 'Username already exists' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const user = await User.create({
+      username,
+      password: hashedPassword,
+      role,
+      institution: role === 'admin' ? undefined : institution,
+      batches: role === 'teacher' ? batches || [] : [],
+      mustChangePassword: true
+    });
+
+    res.status(201).json({ message: 'Staff account created successfully', staff: toStaffResponse(user) });
+  } catch (error) {
+    console.error('Error creating staff account:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update a staff account's password, institution or batches
+app.put('/admin/staff/:id', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Staff account not found' });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, ...await manageableStaffFilter(req.user) });
+    if (!user) {
+      return res.status(404).json({ message: 'Staff account not found' });
+    }
+
+    const { password, institution, batches } = req.body;
+
+    if (institution !== undefined && institution !== user.institution) {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ message: 'You cannot move staff to another institution' });
       }
-      
-      // Also do the reverse - add lowercase if only capitalized exists
-      if (subjects.Physics && !subjects.physics) {
-        subjects.physics = { ...subjects.Physics };
+      user.institution = institution;
+    }
+    if (batches !== undefined) {
+      user.batches = batches;
+    }
+    // Staff know the password they set, so the account has to choose its own at
+    // next login
+    if (password) {
+      const policyError = passwordPolicyError(password);
+      if (policyError) {
+        return res.status(400).json({ message: policyError });
       }
+      user.password = await bcrypt.hash(password, 10);
+      user.mustChangePassword = true;
+    }
+
+    await user.save();
+
+    // A new password logs the account out everywhere
+    if (password) {
+      await revokeUserSessions(user._id, 'password_change');
+    }
+
+    res.json({ message: 'Staff account updated successfully', staff: toStaffResponse(user) });
+  } catch (error) {
+    console.error('Error updating staff account:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a staff account
+app.delete('/admin/staff/:id', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Staff account not found' });
+    }
+    if (req.params.id === String(req.user.userId)) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+
+    const user = await User.findOneAndDelete({ _id: req.params.id, ...await manageableStaffFilter(req.user) });
+    if (!user) {
+      return res.status(404).json({ message: 'Staff account not found' });
+    }
+
+    await revokeUserSessions(user._id, 'account_deleted');
+    res.json({ message: 'Staff account deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting staff account:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Issue a one-time password reset code for a staff account
+app.post('/admin/staff/:id/reset-code', authenticateToken, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Staff account not found' });
+    }
+
+    const user = await User.findOne({ _id: req.params.id, ...await manageableStaffFilter(req.user) });
+    if (!user) {
+      return res.status(404).json({ message: 'Staff account not found' });
+    }
+
+    const { code, expiresAt } = await issueResetCode(user, req.user.userId);
+    res.status(201).json({ message: 'Reset code issued', username: user.username, code, expiresAt });
+  } catch (error) {
+    console.error('Error issuing staff reset code:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Student Routes (for student users)
+
+// Get current student data
+app.get('/student/profile', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const student = await findStudentForUser(req.user);
+    if (!student) {
+      return res.status(404).json({ message: 'Student data not found' });
+    }
+
+    // Get a plain JavaScript object from the Mongoose document
+    const studentObj = student.toObject();
+    
+    // Check if req.query.force is truthy - this means we want to force a direct DB check
+    if (req.query.force) {
+      console.log('Force refresh requested for student profile');
       
-      if (subjects.Chemistry && !subjects.chemistry) {
-        subjects.chemistry = { ...subjects.Chemistry };
+      // Connect to MongoDB directly to get full subject data
+      try {
+        const directDb = mongoose.connection.db;
+        const studentsCollection = directDb.collection('students');
+        
+        // Find the student directly
+        const rawStudent = await studentsCollection.findOne({ _id: student._id });
+        
+        // Update the subjects with any capitalized versions
+        if (rawStudent && rawStudent.subjects) {
+          console.log('Raw subjects from DB:', Object.keys(rawStudent.subjects));
+          
+          // Replace subjects with the raw version from the DB
+          studentObj.subjects = rawStudent.subjects;
+          
+          console.log('Updated student object with raw subjects:', Object.keys(studentObj.subjects));
+        }
+      } catch (dbErr) {
+        console.error('Error getting raw student data:', dbErr);
+        // Continue with the normal response if direct DB access fails
       }
+    }
+    
+    // Make sure we always have capitalized versions of subjects
+    if (studentObj.subjects) {
+      const subjects = studentObj.subjects;
       
-      if (subjects.Botany && !subjects.botany) {
-        subjects.botany = { ...subjects.Botany };
-      }
+      // Lowercase keys are the ones levels are written to, so they win over
+      // capitalized copies left in the database by older versions
+      const keys = Object.keys(subjects).filter(key => key === key.toLowerCase());
+      keys.forEach(key => {
+        subjects[key.charAt(0).toUpperCase() + key.slice(1)] = { ...subjects[key] };
+      });
       
-      if (subjects.Zoology && !subjects.zoology) {
-        subjects.zoology = { ...subjects.Zoology };
-      }
+      // Also do the reverse - add lowercase if only capitalized exists
+      Object.keys(subjects).forEach(key => {
+        const lower = key.toLowerCase();
+        if (!subjects[lower]) {
+          subjects[lower] = { ...subjects[key] };
+        }
+      });
       
       console.log('Final subject keys in response:', Object.keys(subjects));
     }
@@ -581,9 +1381,9 @@ app.get('/student/profile', authenticateToken, studentOnly, async (req, res) =>
 // Question Management Routes
 
 // Create a new question (Admin only)
-app.post('/admin/questions', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
-    const { subject, topicNumber, questionText, options, correctOption, explanation, difficulty, imageUrl, timeAllocation } = req.body;
+    const { subject, topicNumber, questionText, options, correctOption, explanation, difficulty, imageUrl, timeAllocation, branch } = req.body;
 
     console.log('Creating question with data:', { 
       subject, topicNumber, questionText, 
@@ -612,6 +1412,11 @@ app.post('/admin/questions', authenticateToken, adminOnly, async (req, res) => {
       return res.status(400).json({ message: 'Required field missing: correctOption must be a number' });
     }
 
+    const topicError = await syllabusTopicError(subject, topicNumber);
+    if (topicError) {
+      return res.status(400).json({ message: topicError });
+    }
+
     // Ensure explanation is properly formatted
     let processedExplanation = explanation || '';
     if (processedExplanation === 'undefined' || processedExplanation === 'null') {
@@ -630,7 +1435,8 @@ app.post('/admin/questions', authenticateToken, adminOnly, async (req, res) => {
       explanation: processedExplanation,
       difficulty: difficulty || 'medium',
       imageUrl: imageUrl || '',
-      timeAllocation: timeAllocation || 60
+      timeAllocation: timeAllocation || 60,
+      branch: branch || ''
     });
 
     await newQuestion.save();
@@ -641,12 +1447,15 @@ app.post('/admin/questions', authenticateToken, adminOnly, async (req, res) => {
     res.status(201).json({ message: 'Question created successfully', question: newQuestion });
   } catch (error) {
     console.error('Error creating question:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Bulk upload questions (Admin only)
-app.post('/admin/questions/bulk', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/questions/bulk', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const { questions } = req.body;
     
@@ -681,6 +1490,11 @@ app.post('/admin/questions/bulk', authenticateToken, adminOnly, async (req, res)
         });
       }
       
+      const topicError = await syllabusTopicError(question.subject, question.topicNumber);
+      if (topicError) {
+        return res.status(400).json({ message: `Question at index ${i}: ${topicError}` });
+      }
+      
       // Ensure timeAllocation is a number
       if (question.timeAllocation) {
         question.timeAllocation = Number(question.timeAllocation);
@@ -779,7 +1593,7 @@ app.post('/admin/questions/bulk', authenticateToken, adminOnly, async (req, res)
 });
 
 // Get all questions (Admin only)
-app.get('/admin/questions', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     // Get filter parameters
     const { subject, topicNumber } = req.query;
@@ -797,7 +1611,7 @@ app.get('/admin/questions', authenticateToken, adminOnly, async (req, res) => {
 });
 
 // Get a specific question by ID (Admin only)
-app.get('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const question = await Question.findById(req.params.id);
     
@@ -813,9 +1627,9 @@ app.get('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) =
 });
 
 // Update a question (Admin only)
-app.put('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.put('/admin/questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
-    const { subject, topicNumber, questionText, options, correctOption, explanation, difficulty, imageUrl, timeAllocation } = req.body;
+    const { subject, topicNumber, questionText, options, correctOption, explanation, difficulty, imageUrl, timeAllocation, branch } = req.body;
 
     console.log('Updating question with data:', { 
       id: req.params.id,
@@ -825,6 +1639,11 @@ app.put('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) =
       imageUrl: imageUrl || 'none'
     });
 
+    const topicError = await syllabusTopicError(subject, topicNumber);
+    if (topicError) {
+      return res.status(400).json({ message: topicError });
+    }
+
     const updatedQuestion = await Question.findByIdAndUpdate(
       req.params.id,
       { 
@@ -836,9 +1655,10 @@ app.put('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) =
         explanation: explanation || '',
         difficulty: difficulty || 'medium',
         imageUrl: imageUrl || '',
-        timeAllocation: timeAllocation || 60
+        timeAllocation: timeAllocation || 60,
+        branch: branch || ''
       },
-      { new: true }
+      { new: true, runValidators: true }
     );
 
     if (!updatedQuestion) {
@@ -851,12 +1671,15 @@ app.put('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) =
     res.json({ message: 'Question updated successfully', question: updatedQuestion });
   } catch (error) {
     console.error('Error updating question:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Delete a question (Admin only)
-app.delete('/admin/questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.delete('/admin/questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const deletedQuestion = await Question.findByIdAndDelete(req.params.id);
     
@@ -876,7 +1699,7 @@ app.delete('/admin/questions/:id', authenticateToken, adminOnly, async (req, res
 // =====================================================
 
 // Get all grammar questions with filtering (Admin only)
-app.get('/admin/grammar-questions', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/grammar-questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const { module, topicNumber } = req.query;
     console.log('Fetching grammar questions with filters:', { module, topicNumber });
@@ -901,26 +1724,26 @@ app.get('/admin/grammar-questions', authenticateToken, adminOnly, async (req, re
   }
 });
 
-// Get grammar questions for students (for tests)
-app.get('/grammar-questions', authenticateToken, studentOnly, async (req, res) => {
+// Get grammar questions for students (for tests). Starts a grammar test session
+// and returns its questions without answer keys or explanations.
+app.get('/grammar-questions', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
     const { module, topicNumber } = req.query;
     console.log('Student fetching grammar questions:', { module, topicNumber });
     
-    if (!module) {
-      return res.status(400).json({ message: 'Module is required' });
-    }
+    const result = await startTestSession(req.user.userId, { ...req.query, subject: 'grammar' }, clientInfo(req));
     
-    let query = { module };
-    
-    if (topicNumber) {
-      query.topicNumber = topicNumber;
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
     }
     
-    const questions = await GrammarQuestion.find(query).lean();
-    console.log(`Found ${questions.length} grammar questions for module: ${module}`);
+    console.log(`Found ${result.questions.length} grammar questions for module: ${module}`);
     
-    res.json(questions);
+    res.json({
+      ...toStudentSession(result.session, result.questionsById),
+      module,
+      topicNumber
+    });
   } catch (error) {
     console.error('Error fetching grammar questions for student:', error);
     res.status(500).json({ message: 'Server error' });
@@ -928,7 +1751,7 @@ app.get('/grammar-questions', authenticateToken, studentOnly, async (req, res) =
 });
 
 // Create a new grammar question (Admin only)
-app.post('/admin/grammar-questions', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/grammar-questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     console.log('=== GRAMMAR QUESTION CREATION DEBUG ===');
     console.log('MongoDB connection state:', mongoose.connection.readyState);
@@ -1113,7 +1936,7 @@ app.post('/admin/grammar-questions', authenticateToken, adminOnly, async (req, r
 });
 
 // Update a grammar question (Admin only)
-app.put('/admin/grammar-questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.put('/admin/grammar-questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     console.log('Updating grammar question:', req.params.id);
     
@@ -1162,7 +1985,7 @@ app.put('/admin/grammar-questions/:id', authenticateToken, adminOnly, async (req
 });
 
 // Delete a grammar question (Admin only)
-app.delete('/admin/grammar-questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.delete('/admin/grammar-questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const deletedQuestion = await GrammarQuestion.findByIdAndDelete(req.params.id);
     
@@ -1179,7 +2002,7 @@ app.delete('/admin/grammar-questions/:id', authenticateToken, adminOnly, async (
 });
 
 // Bulk upload grammar questions (Admin only)
-app.post('/admin/grammar-questions/bulk', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/grammar-questions/bulk', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const { questions } = req.body;
     
@@ -1232,125 +2055,540 @@ app.post('/admin/grammar-questions/bulk', authenticateToken, adminOnly, async (r
 });
 
 // =====================================================
-// APTITUDE QUESTION ROUTES
+// GRAMMAR CURRICULUM ROUTES
 // =====================================================
 
-// Import Aptitude Question model
-const AptitudeQuestion = require('./models/AptitudeQuestion');
+// Import Grammar Topic model
+const GrammarTopic = require('./models/GrammarTopic');
 
-// Get all aptitude questions with filtering (Admin only)
-app.get('/admin/aptitude-questions', authenticateToken, adminOnly, async (req, res) => {
-  try {
-    const { category, grade, difficulty, topic } = req.query;
-    console.log('Fetching aptitude questions with filters:', { category, grade, difficulty, topic });
-    
-    let query = {};
-    
-    if (category) {
-      query.category = category;
-    }
-    
-    if (grade) {
-      query.grade = grade;
+const GRAMMAR_TOPIC_FIELDS = ['title', 'ruleExplanation', 'examples', 'prerequisites', 'order', 'active'];
+
+// Active grammar topics in curriculum order: module from beginner to advanced,
+// then position within the module
+async function loadGrammarCurriculum() {
+  const modules = GrammarTopic.schema.path('module').enumValues;
+  const topics = await GrammarTopic.find({ active: true }).lean();
+  return topics.sort((a, b) =>
+    modules.indexOf(a.module) - modules.indexOf(b.module) || a.order - b.order);
+}
+
+// A student's grammar results per module and topic number
+async function loadGrammarResults(studentId) {
+  const results = await TestHistory.aggregate([
+    { $match: { studentId: new mongoose.Types.ObjectId(String(studentId)), subject: 'grammar', isCompleted: { $ne: false } } },
+    {
+      $group: {
+        _id: { module: '$module', topicNumber: '$topicNumber' },
+        attempts: { $sum: 1 },
+        bestScore: { $max: '$score' },
+        passed: { $max: '$passedLevel' },
+        lastAttemptAt: { $max: '$date' }
+      }
     }
-    
-    if (difficulty) {
-      query.difficulty = difficulty;
+  ]);
+
+  const byTopic = {};
+  results.forEach(result => {
+    byTopic[`${result._id.module}:${result._id.topicNumber}`] = result;
+  });
+  return byTopic;
+}
+
+// Work out which topics a student has passed, can take now, or has still locked.
+// A topic is unlocked once all its prerequisites are passed; a topic without
+// prerequisites needs the topic before it in the curriculum.
+function grammarTopicStatuses(curriculum, results) {
+  const passedIds = new Set();
+  curriculum.forEach(topic => {
+    if (results[`${topic.module}:${topic.topicNumber}`]?.passed) {
+      passedIds.add(String(topic._id));
     }
-    
-    if (topic) {
-      query.topic = topic;
+  });
+
+  const activeIds = new Set(curriculum.map(topic => String(topic._id)));
+
+  return curriculum.map((topic, index) => {
+    const result = results[`${topic.module}:${topic.topicNumber}`];
+    // Retired prerequisites no longer hold a topic back
+    let required = (topic.prerequisites || []).map(String).filter(id => activeIds.has(id));
+    if ((topic.prerequisites || []).length === 0 && index > 0) {
+      required = [String(curriculum[index - 1]._id)];
     }
-    
-    const questions = await AptitudeQuestion.find(query).sort({ createdAt: -1 });
-    console.log(`Found ${questions.length} aptitude questions`);
-    
-    res.json(questions);
-  } catch (error) {
-    console.error('Error fetching aptitude questions:', error);
-    res.status(500).json({ message: 'Server error' });
+    const missing = required.filter(id => !passedIds.has(id));
+
+    let status = 'unlocked';
+    if (passedIds.has(String(topic._id))) status = 'passed';
+    else if (missing.length > 0) status = 'locked';
+
+    return {
+      topic,
+      status,
+      missingPrerequisites: missing,
+      attempts: result ? result.attempts : 0,
+      bestScore: result ? result.bestScore : null,
+      lastAttemptAt: result ? result.lastAttemptAt : null
+    };
+  });
+}
+
+// Error message if the student has not unlocked a grammar topic yet, otherwise null.
+// Topics outside the curriculum are not restricted.
+async function grammarTopicLockError(studentId, module, topicNumber) {
+  const curriculum = await loadGrammarCurriculum();
+  if (!curriculum.some(topic => topic.module === module && topic.topicNumber === String(topicNumber))) {
+    return null;
   }
-});
 
-// Get aptitude syllabus and topics
-app.get('/aptitude-syllabus', (req, res) => {
-  const syllabus = {
-    "11": {
-      "quantitative": {
-        "easy": ["Number System", "Simplification & Approximation", "LCM & HCF"],
-        "medium": ["Ratio & Proportion", "Percentage", "Averages"],
-        "hard": ["Time, Speed & Distance", "Time & Work"]
-      },
-      "logical": {
-        "easy": ["Number Series", "Alphabet Series", "Direction Sense"],
-        "medium": ["Coding-Decoding", "Order & Ranking", "Blood Relations (basic)"],
-        "hard": ["Blood Relations (complex)", "Calendar Problems", "Clock Problems"]
-      },
-      "verbal": {
-        "easy": ["Synonyms", "Antonyms", "Vocabulary Usage"],
-        "medium": ["Spotting Errors", "Fill in the Blanks"],
-        "hard": ["Sentence Improvement", "Reading Comprehension (basic)"]
-      }
-    },
-    "12": {
-      "quantitative": {
-        "easy": ["Profit & Loss", "Simple Interest", "Mixtures & Alligation"],
-        "medium": ["Compound Interest", "Boats & Streams", "Pipes & Cisterns"],
-        "hard": ["Mensuration (2D & 3D)", "Permutations & Combinations", "Probability", "Data Interpretation"]
-      },
-      "logical": {
-        "easy": ["Syllogism", "Statements & Conclusions"],
-        "medium": ["Seating Arrangement (Linear & Circular)", "Input-Output"],
-        "hard": ["Puzzles", "Data Sufficiency"]
-      },
-      "verbal": {
-        "easy": ["Idioms & Phrases", "Active & Passive Voice"],
-        "medium": ["Cloze Test", "Direct & Indirect Speech"],
-        "hard": ["Para Jumbles", "Reading Comprehension (advanced)"]
+  const statuses = grammarTopicStatuses(curriculum, await loadGrammarResults(studentId));
+  const entry = statuses.find(s => s.topic.module === module && s.topic.topicNumber === String(topicNumber));
+  if (entry.status !== 'locked') return null;
+
+  const titles = curriculum
+    .filter(topic => entry.missingPrerequisites.includes(String(topic._id)))
+    .map(topic => topic.title);
+  return `${entry.topic.title} is locked. Pass ${titles.join(', ')} first.`;
+}
+
+// Topic numbers of a module the student has not unlocked yet
+async function lockedGrammarTopicNumbers(studentId, module) {
+  const curriculum = await loadGrammarCurriculum();
+  return grammarTopicStatuses(curriculum, await loadGrammarResults(studentId))
+    .filter(entry => entry.topic.module === module && entry.status === 'locked')
+    .map(entry => entry.topic.topicNumber);
+}
+
+// Check a topic's prerequisites exist and would not make the curriculum circular.
+// Returns an error message or null.
+async function validateGrammarPrerequisites(topicId, prerequisites) {
+  if (!Array.isArray(prerequisites)) {
+    return 'Prerequisites must be an array of topic IDs';
+  }
+  if (prerequisites.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    return 'Prerequisites must be an array of topic IDs';
+  }
+  if (topicId && prerequisites.some(id => String(id) === String(topicId))) {
+    return 'A topic cannot be its own prerequisite';
+  }
+
+  const topics = await GrammarTopic.find().select('prerequisites').lean();
+  const prerequisitesOf = new Map(topics.map(topic => [String(topic._id), (topic.prerequisites || []).map(String)]));
+
+  const missing = prerequisites.filter(id => !prerequisitesOf.has(String(id)));
+  if (missing.length > 0) {
+    return `Unknown prerequisite topics: ${missing.join(', ')}`;
+  }
+
+  // Walk down from the new prerequisites; reaching the topic itself would be a cycle
+  if (topicId) {
+    const seen = new Set();
+    const stack = prerequisites.map(String);
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (id === String(topicId)) {
+        return 'These prerequisites would make the curriculum circular';
       }
+      if (seen.has(id)) continue;
+      seen.add(id);
+      stack.push(...(prerequisitesOf.get(id) || []));
     }
-  };
-  
-  res.json(syllabus);
-});
+  }
 
-// Get aptitude questions for students (for tests)
-app.get('/aptitude-questions', authenticateToken, studentOnly, async (req, res) => {
+  return null;
+}
+
+// Get the grammar curriculum with the student's status for every topic
+app.get('/student/grammar-curriculum', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
-    const { category, grade, difficulty, topic } = req.query;
-    console.log('Student fetching aptitude questions:', { category, grade, difficulty, topic });
-    
-    if (!category || !grade || !difficulty) {
-      return res.status(400).json({ message: 'Category, grade, and difficulty are required' });
-    }
-    
-    let query = { category, grade, difficulty };
-    
-    if (topic) {
-      query.topic = topic;
-    }
-    
-    const questions = await AptitudeQuestion.find(query).lean();
-    console.log(`Found ${questions.length} aptitude questions for category: ${category}, grade: ${grade}, difficulty: ${difficulty}`);
-    
-    // Shuffle and limit to maximum 20 questions
-    const shuffledQuestions = questions.sort(() => 0.5 - Math.random()).slice(0, 20);
-    
-    res.json(shuffledQuestions);
+    const curriculum = await loadGrammarCurriculum();
+    const statuses = grammarTopicStatuses(curriculum, await loadGrammarResults(req.user.userId));
+
+    const modules = GrammarTopic.schema.path('module').enumValues.map(module => ({
+      module,
+      topics: statuses
+        .filter(entry => entry.topic.module === module)
+        .map(({ topic, ...progress }) => ({
+          _id: topic._id,
+          topicNumber: topic.topicNumber,
+          title: topic.title,
+          ruleExplanation: topic.ruleExplanation,
+          examples: topic.examples,
+          prerequisites: topic.prerequisites,
+          ...progress
+        }))
+    }));
+
+    res.json({ modules });
   } catch (error) {
-    console.error('Error fetching aptitude questions for student:', error);
-    res.status(500).json({ message: 'Server error' });
+    console.error('Error fetching grammar curriculum:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Create a new aptitude question (Admin only)
-app.post('/admin/aptitude-questions', authenticateToken, adminOnly, async (req, res) => {
+// List grammar topics, retired ones included (Admin only)
+app.get('/admin/grammar-topics', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
   try {
-    console.log('=== APTITUDE QUESTION CREATION DEBUG ===');
-    console.log('MongoDB connection state:', mongoose.connection.readyState);
-    console.log('Creating new aptitude question with data:', JSON.stringify(req.body, null, 2));
-    
-    // Check if database is connected
+    const { module } = req.query;
+    const filter = {};
+    if (module) filter.module = module;
+
+    const topics = await GrammarTopic.find(filter).sort({ module: 1, order: 1 }).lean();
+    res.json(topics);
+  } catch (error) {
+    console.error('Error fetching grammar topics:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a grammar topic (Admin only)
+app.post('/admin/grammar-topics', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { module, topicNumber, title, ruleExplanation, examples, order } = req.body;
+    const prerequisites = req.body.prerequisites || [];
+
+    if (!module || topicNumber === undefined || topicNumber === '' || !title) {
+      return res.status(400).json({ message: 'Module, topicNumber and title are required' });
+    }
+
+    const prerequisiteError = await validateGrammarPrerequisites(null, prerequisites);
+    if (prerequisiteError) {
+      return res.status(400).json({ message: prerequisiteError });
+    }
+
+    const topic = new GrammarTopic({
+      module,
+      topicNumber: String(topicNumber),
+      title,
+      ruleExplanation,
+      examples,
+      prerequisites,
+      order
+    });
+    await topic.save();
+
+    res.status(201).json({ message: 'Grammar topic created successfully', topic });
+  } catch (error) {
+    console.error('Error creating grammar topic:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This module already has a topic with that number' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update a grammar topic (Admin only). Module and topic number stay fixed because
+// questions and test results refer to them.
+app.put('/admin/grammar-topics/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const topic = await GrammarTopic.findById(req.params.id);
+    if (!topic) {
+      return res.status(404).json({ message: 'Grammar topic not found' });
+    }
+
+    if (req.body.prerequisites !== undefined) {
+      const prerequisiteError = await validateGrammarPrerequisites(topic._id, req.body.prerequisites);
+      if (prerequisiteError) {
+        return res.status(400).json({ message: prerequisiteError });
+      }
+    }
+
+    GRAMMAR_TOPIC_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        topic[field] = req.body[field];
+      }
+    });
+    topic.updatedAt = new Date();
+
+    await topic.save();
+    res.json({ message: 'Grammar topic updated successfully', topic });
+  } catch (error) {
+    console.error('Error updating grammar topic:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a grammar topic nothing depends on (Admin only). Topics with questions
+// or dependent topics should be retired instead.
+app.delete('/admin/grammar-topics/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const topic = await GrammarTopic.findById(req.params.id).lean();
+    if (!topic) {
+      return res.status(404).json({ message: 'Grammar topic not found' });
+    }
+
+    const dependents = await GrammarTopic.countDocuments({ prerequisites: topic._id });
+    const questions = await GrammarQuestion.countDocuments({ module: topic.module, topicNumber: topic.topicNumber });
+    if (dependents > 0 || questions > 0) {
+      return res.status(409).json({
+        message: `This topic is a prerequisite of ${dependents} topics and has ${questions} questions. Retire it instead.`
+      });
+    }
+
+    await GrammarTopic.deleteOne({ _id: topic._id });
+    res.json({ message: 'Grammar topic deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting grammar topic:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid grammar topic ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// APTITUDE QUESTION ROUTES
+// =====================================================
+
+// Import Aptitude Question model
+const AptitudeQuestion = require('./models/AptitudeQuestion');
+// Import Aptitude Topic model
+const AptitudeTopic = require('./models/AptitudeTopic');
+
+// Get all aptitude questions with filtering (Admin only)
+app.get('/admin/aptitude-questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
+  try {
+    const { category, grade, difficulty, topic } = req.query;
+    console.log('Fetching aptitude questions with filters:', { category, grade, difficulty, topic });
+    
+    let query = {};
+    
+    if (category) {
+      query.category = category;
+    }
+    
+    if (grade) {
+      query.grade = grade;
+    }
+    
+    if (difficulty) {
+      query.difficulty = difficulty;
+    }
+    
+    if (topic) {
+      query.topic = topic;
+    }
+    
+    const questions = await AptitudeQuestion.find(query).sort({ createdAt: -1 });
+    console.log(`Found ${questions.length} aptitude questions`);
+    
+    res.json(questions);
+  } catch (error) {
+    console.error('Error fetching aptitude questions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the aptitude syllabus as grade -> category -> difficulty -> topic names
+app.get('/aptitude-syllabus', async (req, res) => {
+  try {
+    const topics = await AptitudeTopic.find({ active: true }).sort({ order: 1, name: 1 }).lean();
+
+    const syllabus = {};
+    topics.forEach(topic => {
+      if (!syllabus[topic.grade]) syllabus[topic.grade] = {};
+      if (!syllabus[topic.grade][topic.category]) syllabus[topic.grade][topic.category] = {};
+      if (!syllabus[topic.grade][topic.category][topic.difficulty]) syllabus[topic.grade][topic.category][topic.difficulty] = [];
+      syllabus[topic.grade][topic.category][topic.difficulty].push(topic.name);
+    });
+
+    res.json(syllabus);
+  } catch (error) {
+    console.error('Error fetching aptitude syllabus:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Check an aptitude question's topic against the syllabus. Returns an error message or null.
+async function aptitudeTopicError({ grade, category, difficulty, topic }) {
+  const entry = await AptitudeTopic.findOne({
+    grade: String(grade),
+    category,
+    difficulty,
+    name: String(topic).trim()
+  }).lean();
+
+  if (!entry) {
+    return `${topic} is not a ${difficulty} ${category} topic for grade ${grade}`;
+  }
+  if (!entry.active) {
+    return `${topic} has been retired from the aptitude syllabus`;
+  }
+  return null;
+}
+
+function attachedQuestionsQuery(topic) {
+  return { grade: topic.grade, category: topic.category, difficulty: topic.difficulty, topic: topic.name };
+}
+
+// List aptitude topics with how many questions each has, retired ones included (Admin only)
+app.get('/admin/aptitude-syllabus', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { grade, category, difficulty } = req.query;
+    const filter = {};
+    if (grade) filter.grade = grade;
+    if (category) filter.category = category;
+    if (difficulty) filter.difficulty = difficulty;
+
+    const topics = await AptitudeTopic.find(filter).sort({ grade: 1, category: 1, difficulty: 1, order: 1 }).lean();
+
+    const counts = await AptitudeQuestion.aggregate([
+      { $match: filter },
+      { $group: { _id: { grade: '$grade', category: '$category', difficulty: '$difficulty', topic: '$topic' }, count: { $sum: 1 } } }
+    ]);
+    const countFor = topic => {
+      const match = counts.find(c => c._id.grade === topic.grade && c._id.category === topic.category &&
+        c._id.difficulty === topic.difficulty && c._id.topic === topic.name);
+      return match ? match.count : 0;
+    };
+
+    res.json(topics.map(topic => ({ ...topic, questionCount: countFor(topic) })));
+  } catch (error) {
+    console.error('Error fetching aptitude topics:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add an aptitude topic (Admin only)
+app.post('/admin/aptitude-syllabus', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { grade, category, difficulty, name, order } = req.body;
+
+    if (!grade || !category || !difficulty || !name) {
+      return res.status(400).json({ message: 'Grade, category, difficulty and name are required' });
+    }
+
+    const topic = new AptitudeTopic({ grade: String(grade), category, difficulty, name, order });
+    await topic.save();
+
+    res.status(201).json({ message: 'Aptitude topic created successfully', topic });
+  } catch (error) {
+    console.error('Error creating aptitude topic:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This topic already exists for the grade, category and difficulty' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename, reorder or retire an aptitude topic (Admin only). Renaming carries the
+// topic's questions over to the new name. Retiring leaves its questions in place
+// and warns about them.
+app.put('/admin/aptitude-syllabus/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const topic = await AptitudeTopic.findById(req.params.id);
+    if (!topic) {
+      return res.status(404).json({ message: 'Aptitude topic not found' });
+    }
+
+    const { name, order, active } = req.body;
+    const previous = attachedQuestionsQuery(topic);
+    const retiring = active === false && topic.active;
+
+    if (name !== undefined) topic.name = name;
+    if (order !== undefined) topic.order = order;
+    if (active !== undefined) topic.active = active;
+    topic.updatedAt = new Date();
+
+    await topic.save();
+
+    if (topic.name !== previous.topic) {
+      await AptitudeQuestion.updateMany(previous, { $set: { topic: topic.name } });
+    }
+
+    const response = { message: 'Aptitude topic updated successfully', topic };
+    if (retiring) {
+      const attachedQuestions = await AptitudeQuestion.countDocuments(attachedQuestionsQuery(topic));
+      if (attachedQuestions > 0) {
+        response.attachedQuestions = attachedQuestions;
+        response.warning = `${attachedQuestions} questions are still attached to this topic and will keep being served until they are moved or deleted`;
+      }
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error updating aptitude topic:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This topic already exists for the grade, category and difficulty' });
+    }
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete an aptitude topic without questions (Admin only). Topics with questions
+// should be retired instead.
+app.delete('/admin/aptitude-syllabus/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const topic = await AptitudeTopic.findById(req.params.id).lean();
+    if (!topic) {
+      return res.status(404).json({ message: 'Aptitude topic not found' });
+    }
+
+    const attachedQuestions = await AptitudeQuestion.countDocuments(attachedQuestionsQuery(topic));
+    if (attachedQuestions > 0) {
+      return res.status(409).json({
+        message: `${attachedQuestions} questions are attached to this topic. Retire it instead.`,
+        attachedQuestions
+      });
+    }
+
+    await AptitudeTopic.deleteOne({ _id: topic._id });
+    res.json({ message: 'Aptitude topic deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting aptitude topic:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid aptitude topic ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get aptitude questions for students (for tests). Starts an aptitude test session
+// and returns its questions without answer keys or explanations.
+app.get('/aptitude-questions', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { category, grade, difficulty, topic } = req.query;
+    console.log('Student fetching aptitude questions:', { category, grade, difficulty, topic });
+    
+    const result = await startTestSession(req.user.userId, { ...req.query, subject: 'aptitude' }, clientInfo(req));
+    
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    
+    console.log(`Found ${result.questions.length} aptitude questions for category: ${category}, grade: ${grade}, difficulty: ${difficulty}`);
+    
+    res.json({
+      ...toStudentSession(result.session, result.questionsById),
+      category,
+      grade,
+      difficulty,
+      topic
+    });
+  } catch (error) {
+    console.error('Error fetching aptitude questions for student:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a new aptitude question (Admin only)
+app.post('/admin/aptitude-questions', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
+  try {
+    console.log('=== APTITUDE QUESTION CREATION DEBUG ===');
+    console.log('MongoDB connection state:', mongoose.connection.readyState);
+    console.log('Creating new aptitude question with data:', JSON.stringify(req.body, null, 2));
+    
+    // Check if database is connected
     if (mongoose.connection.readyState !== 1) {
       console.error('Database not connected! Current state:', mongoose.connection.readyState);
       return res.status(500).json({ 
@@ -1452,6 +2690,11 @@ app.post('/admin/aptitude-questions', authenticateToken, adminOnly, async (req,
       console.error('Invalid difficulty:', difficulty, 'Valid difficulties:', validDifficulties);
       return res.status(400).json({ message: 'Invalid difficulty. Must be one of: ' + validDifficulties.join(', ') });
     }
+
+    const topicError = await aptitudeTopicError({ grade, category, difficulty, topic });
+    if (topicError) {
+      return res.status(400).json({ message: topicError });
+    }
     
     console.log('All validations passed. Creating question object...');
     
@@ -1501,7 +2744,7 @@ app.post('/admin/aptitude-questions', authenticateToken, adminOnly, async (req,
 });
 
 // Update an aptitude question (Admin only)
-app.put('/admin/aptitude-questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.put('/admin/aptitude-questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     console.log('Updating aptitude question:', req.params.id);
     
@@ -1517,6 +2760,27 @@ app.put('/admin/aptitude-questions/:id', authenticateToken, adminOnly, async (re
       timeAllocation,
       imageUrl
     } = req.body;
+
+    const existing = await AptitudeQuestion.findById(req.params.id).lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Aptitude question not found' });
+    }
+
+    // Only a move to another topic is checked, so questions of a retired topic
+    // can still be corrected
+    const target = {
+      grade: grade || existing.grade,
+      category: category || existing.category,
+      difficulty: difficulty || existing.difficulty,
+      topic: topic || existing.topic
+    };
+    const topicChanged = ['grade', 'category', 'difficulty', 'topic'].some(field => String(target[field]) !== String(existing[field]));
+    if (topicChanged) {
+      const topicError = await aptitudeTopicError(target);
+      if (topicError) {
+        return res.status(400).json({ message: topicError });
+      }
+    }
     
     const updatedQuestion = await AptitudeQuestion.findByIdAndUpdate(
       req.params.id,
@@ -1548,7 +2812,7 @@ app.put('/admin/aptitude-questions/:id', authenticateToken, adminOnly, async (re
 });
 
 // Delete an aptitude question (Admin only)
-app.delete('/admin/aptitude-questions/:id', authenticateToken, adminOnly, async (req, res) => {
+app.delete('/admin/aptitude-questions/:id', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     console.log('Deleting aptitude question:', req.params.id);
     
@@ -1567,7 +2831,7 @@ app.delete('/admin/aptitude-questions/:id', authenticateToken, adminOnly, async
 });
 
 // Bulk upload aptitude questions (Admin only)
-app.post('/admin/aptitude-questions/bulk', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/aptitude-questions/bulk', authenticateToken, requirePermission('questions:manage'), async (req, res) => {
   try {
     const { questions } = req.body;
     
@@ -1619,6 +2883,12 @@ app.post('/admin/aptitude-questions/bulk', authenticateToken, adminOnly, async (
           message: `Question ${i + 1} has invalid difficulty. Must be one of: ${validDifficulties.join(', ')}` 
         });
       }
+
+      question.topic = String(question.topic).trim();
+      const topicError = await aptitudeTopicError(question);
+      if (topicError) {
+        return res.status(400).json({ message: `Question ${i + 1}: ${topicError}` });
+      }
     }
     
     // Insert all questions
@@ -1642,319 +2912,3844 @@ app.post('/admin/aptitude-questions/bulk', authenticateToken, adminOnly, async (
   }
 });
 
-// Student endpoint to get topic-based test questions
-app.get('/student/test', authenticateToken, studentOnly, async (req, res) => {
+// =====================================================
+// SUBJECT CATALOGUE ROUTES
+// =====================================================
+
+// The catalogue is read on most requests, so keep it in memory for a short while
+const SUBJECT_CACHE_MS = 60 * 1000;
+let subjectCache = null;
+let subjectCacheLoadedAt = 0;
+
+// All subjects, retired ones included, in display order
+async function loadSubjects() {
+  if (!subjectCache || Date.now() - subjectCacheLoadedAt > SUBJECT_CACHE_MS) {
+    subjectCache = await Subject.find().sort({ order: 1, key: 1 }).lean();
+    subjectCacheLoadedAt = Date.now();
+  }
+  return subjectCache;
+}
+
+function clearSubjectCache() {
+  subjectCache = null;
+}
+
+// Keys of the active subjects
+async function subjectKeys() {
+  return (await loadSubjects()).filter(subject => subject.active).map(subject => subject.key);
+}
+
+// Keys of the active subjects students have a level and stage in
+async function progressionSubjects() {
+  return (await loadSubjects())
+    .filter(subject => subject.active && subject.tracksProgress)
+    .map(subject => subject.key);
+}
+
+// Display names by subject key
+async function subjectNames() {
+  const names = {};
+  (await loadSubjects()).forEach(subject => {
+    names[subject.key] = subject.name;
+  });
+  return names;
+}
+
+// Level and stage 1 in every subject that tracks progress, for new students
+async function initialSubjectLevels() {
+  const levels = {};
+  (await progressionSubjects()).forEach(key => {
+    levels[key] = { level: '1', stage: '1' };
+  });
+  return levels;
+}
+
+// Levels a student has cleared across the given subjects (level 1 means none cleared)
+function levelsCleared(subjects, keys) {
+  if (!subjects) return 0;
+  return keys.reduce((sum, key) => sum + Math.max(0, parseInt(subjects[key]?.level || '1') - 1), 0);
+}
+
+// Check a subject's parent. Returns an error message or null.
+async function validateSubjectParent(key, parent) {
+  if (!parent) return null;
+  if (parent === key) {
+    return 'A subject cannot be its own parent';
+  }
+
+  const parentSubject = await Subject.findOne({ key: parent }).lean();
+  if (!parentSubject) {
+    return `Parent subject ${parent} does not exist`;
+  }
+  // Keep the catalogue two levels deep
+  if (parentSubject.parent) {
+    return `${parent} is itself a child subject and cannot be a parent`;
+  }
+  if (await Subject.exists({ parent: key })) {
+    return `${key} has child subjects and cannot be given a parent`;
+  }
+
+  return null;
+}
+
+// Get the active subjects with their child subjects, for any logged-in user
+app.get('/subjects', authenticateToken, async (req, res) => {
   try {
-    // Extract test parameters from query
-    const { subject, mode } = req.query;
-    
-    if (!subject) {
-      return res.status(400).json({ message: 'Subject is required' });
-    }
-    
-    let query = { subject: subject.toLowerCase() };
-    let questionCount = 20;  // Default number of questions
-    
-    // Handle different test modes
-    if (mode === 'practice') {
-      // For practice mode, filter by topic number
-      const { topicNumber } = req.query;
-      
-      if (!topicNumber) {
-        return res.status(400).json({ message: 'Topic number is required for practice mode' });
-      }
-      
-      query.topicNumber = topicNumber;
-      questionCount = 20;  // 20 questions for practice tests
-    } 
-    else if (mode === 'assessment') {
-      // For assessment mode, filter by selected topics
-      const { topics, count } = req.query;
-      
-      if (!topics) {
-        return res.status(400).json({ message: 'Topics are required for assessment mode' });
-      }
-      
-      const topicsList = topics.split(',');
-      query.topicNumber = { $in: topicsList };
-      
-      // Use requested count or default to 40
-      questionCount = parseInt(count) || 40;
-    }
-    
-    // Fetch all matching questions
-    let questions = await Question.find(query).lean();
-    
-    // Return questions
-    res.json({
-      subject,
-      mode,
-      questions: questions.map(q => ({
-        id: q._id,
-        text: q.questionText,
-        options: q.options,
-        correctOption: q.correctOption,
-        topicNumber: q.topicNumber,
-        explanation: q.explanation,
-        timeAllocation: q.timeAllocation || 60
-      }))
-    });
+    const subjects = (await loadSubjects()).filter(subject => subject.active);
+
+    res.json(subjects
+      .filter(subject => !subject.parent)
+      .map(subject => ({
+        key: subject.key,
+        name: subject.name,
+        tracksProgress: subject.tracksProgress,
+        children: subjects
+          .filter(child => child.parent === subject.key)
+          .map(child => ({ key: child.key, name: child.name, tracksProgress: child.tracksProgress }))
+      })));
   } catch (error) {
-    console.error('Error fetching test questions:', error);
+    console.error('Error fetching subjects:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
-// Process test completion and save results
-app.post('/student/complete-test', authenticateToken, studentOnly, async (req, res) => {
+// Get the whole subject catalogue, retired subjects included (Admin only)
+app.get('/admin/subjects', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
   try {
-    // Extract required fields from request body
-    const { subject, stage, level, score, questions, totalTime, passedLevel, mode, topicNumber, topics } = req.body;
-    const studentId = req.user.userId;
-    
-    console.log('======= TEST COMPLETION =======');
-    console.log('Student ID:', studentId);
-    console.log('User in token:', req.user);
-    console.log('Subject:', subject);
-    console.log('Mode:', mode);
-    
-    if (mode === 'practice') {
-      console.log('Practice test for Topic:', topicNumber);
-    } else if (mode === 'assessment') {
-      console.log('Assessment test for Topics:', topics);
-    } else {
-      console.log('Legacy test - Stage:', stage, 'Level:', level);
-    }
-    
-    console.log('Score:', score);
-    console.log('Passed:', passedLevel || score >= 70);
-    
-    // Validate required fields
-    if (!subject || !questions || score === undefined || totalTime === undefined) {
-      console.error('Missing required fields in test completion request');
-      return res.status(400).json({ 
-        message: 'Missing required fields', 
-        details: { 
-          subject: !!subject, 
-          questions: !!questions, 
-          score: score !== undefined, 
-          totalTime: totalTime !== undefined 
-        } 
+    const subjects = await Subject.find().sort({ order: 1, key: 1 }).lean();
+    res.json(subjects);
+  } catch (error) {
+    console.error('Error fetching subjects:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a subject (Admin only)
+app.post('/admin/subjects', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { key, name, parent, order, tracksProgress, active } = req.body;
+
+    if (!key || !name) {
+      return res.status(400).json({ message: 'Key and name are required' });
+    }
+
+    const subjectKey = String(key).trim().toLowerCase();
+    if (await Subject.exists({ key: subjectKey })) {
+      return res.status(409).json({ message: `Subject ${subjectKey} already exists` });
+    }
+
+    const parentError = await validateSubjectParent(subjectKey, parent);
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    const subject = new Subject({ key: subjectKey, name, parent: parent || null, order, tracksProgress, active });
+    await subject.save();
+    clearSubjectCache();
+
+    res.status(201).json({ message: 'Subject created successfully', subject });
+  } catch (error) {
+    console.error('Error creating subject:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename, move, reorder or retire a subject (Admin only). The key cannot change
+// because questions and student records refer to it.
+app.put('/admin/subjects/:key', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const subject = await Subject.findOne({ key: req.params.key.toLowerCase() });
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+
+    const { name, parent, order, tracksProgress, active } = req.body;
+
+    if (parent !== undefined) {
+      const parentError = await validateSubjectParent(subject.key, parent);
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+      subject.parent = parent || null;
+    }
+
+    if (name !== undefined) subject.name = name;
+    if (order !== undefined) subject.order = order;
+    if (tracksProgress !== undefined) subject.tracksProgress = tracksProgress;
+    if (active !== undefined) subject.active = active;
+
+    await subject.save();
+    clearSubjectCache();
+
+    res.json({ message: 'Subject updated successfully', subject });
+  } catch (error) {
+    console.error('Error updating subject:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a subject nothing refers to yet (Admin only). Subjects in use should be
+// retired with active: false instead.
+app.delete('/admin/subjects/:key', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const key = req.params.key.toLowerCase();
+
+    const children = await Subject.countDocuments({ parent: key });
+    if (children > 0) {
+      return res.status(409).json({ message: `${key} has ${children} child subjects and cannot be deleted` });
+    }
+
+    const questions = await Question.countDocuments({ $or: [{ subject: key }, { branch: key }] });
+    const tests = await TestHistory.countDocuments({ subject: key });
+    const syllabusEntries = await SyllabusNode.countDocuments({ subject: key });
+    if (questions > 0 || tests > 0 || syllabusEntries > 0) {
+      return res.status(409).json({
+        message: `${key} is used by ${questions} questions, ${tests} test results and ${syllabusEntries} syllabus entries. Retire it instead.`
       });
     }
-    
-    // Process questions data
-    const processedQuestions = questions.map(q => ({
-      text: q.text || q.questionText || 'Question text not available',
-      selectedOption: q.selectedOption || '',
-      correctOption: q.correctOption,
-      isCorrect: q.isCorrect,
-      timeSpent: q.timeSpent || 0,
-      allocatedTime: q.allocatedTime || 60,
-      explanation: q.explanation || 'No explanation available',
-      topicNumber: q.topicNumber || q.topic || topicNumber || '',
-      questionId: q._id || null,
-      difficulty: q.difficulty || 'medium'
-    }));
-    
-    // Calculate performance metrics
-    const correctAnswers = processedQuestions.filter(q => q.isCorrect).length;
-    const incorrectAnswers = processedQuestions.filter(q => !q.isCorrect).length;
-    const unanswered = processedQuestions.length - correctAnswers - incorrectAnswers;
-    const averageTimePerQuestion = processedQuestions.length > 0 ? 
-      processedQuestions.reduce((sum, q) => sum + (q.timeSpent || 0), 0) / processedQuestions.length : 0;
-    
-    // Calculate topic-wise performance
-    const topicWisePerformance = {};
-    processedQuestions.forEach(q => {
-      const topic = q.topicNumber || '1'; // Default to '1' if no topic
-      if (!topicWisePerformance[topic]) {
-        topicWisePerformance[topic] = {
-          total: 0,
-          correct: 0,
-          score: 0
-        };
-      }
-      
-      topicWisePerformance[topic].total++;
-      if (q.isCorrect) {
-        topicWisePerformance[topic].correct++;
-      }
-    });
-    
-    // Calculate score for each topic
-    Object.keys(topicWisePerformance).forEach(topic => {
-      const { total, correct } = topicWisePerformance[topic];
-      topicWisePerformance[topic].score = total > 0 ? Math.round((correct / total) * 100) : 0;
-    });
-    
-    // Get browser and platform info if available
-    const userAgent = req.headers['user-agent'] || '';
-    const deviceInfo = {
-      browser: getBrowserInfo(userAgent),
-      platform: getPlatformInfo(userAgent),
-      screenSize: req.body.screenSize || 'unknown'
-    };
-    
-    // Calculate improvements compared to previous attempts
-    let improvement = {
-      previousBestScore: 0,
-      scoreImprovement: 0,
-      timeImprovement: 0
+
+    const subject = await Subject.findOneAndDelete({ key });
+    if (!subject) {
+      return res.status(404).json({ message: 'Subject not found' });
+    }
+    clearSubjectCache();
+
+    res.json({ message: 'Subject deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting subject:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// SYLLABUS ROUTES
+// =====================================================
+
+// Import Syllabus Node model
+const SyllabusNode = require('./models/SyllabusNode');
+
+// The kind of entry each kind of syllabus entry sits under
+const SYLLABUS_PARENT_KINDS = { chapter: 'unit', topic: 'chapter' };
+const SYLLABUS_FIELDS = ['number', 'name', 'ncertReference', 'order', 'active'];
+
+function topicKey(subject, topicNumber) {
+  return `${subject}:${topicNumber}`;
+}
+
+// Names of the syllabus topics referred to by a list of { subject, topicNumber }
+// entries, keyed by topicKey
+async function loadTopicNames(entries) {
+  const subjects = [...new Set(entries.map(entry => entry.subject).filter(Boolean))];
+  const numbers = [...new Set(entries.map(entry => entry.topicNumber).filter(Boolean).map(String))];
+  const names = {};
+  if (subjects.length === 0 || numbers.length === 0) return names;
+
+  const topics = await SyllabusNode.find({ kind: 'topic', subject: { $in: subjects }, number: { $in: numbers } })
+    .select('subject number name')
+    .lean();
+  topics.forEach(topic => {
+    names[topicKey(topic.subject, topic.number)] = topic.name;
+  });
+  return names;
+}
+
+// Add topicName to test history records and their questions, with one lookup
+// for all of them. Mixed and mock tests hold questions of several subjects, so
+// the subject comes from the question itself.
+async function addTestTopicNames(tests) {
+  const questionIdOf = q => (q.questionId && q.questionId._id) || q.questionId;
+  const ids = tests.flatMap(test => (test.questions || []).map(questionIdOf)).filter(Boolean);
+  const bank = await Question.find({ _id: { $in: ids } }).select('subject').lean();
+  const subjectById = new Map(bank.map(q => [String(q._id), q.subject]));
+
+  const subjectOf = (test, q) => subjectById.get(String(questionIdOf(q))) || test.subject;
+  const names = await loadTopicNames(tests.flatMap(test => [
+    { subject: test.subject, topicNumber: test.topicNumber },
+    ...(test.questions || []).map(q => ({ subject: subjectOf(test, q), topicNumber: q.topicNumber }))
+  ]));
+
+  tests.forEach(test => {
+    if (test.topicNumber) {
+      test.topicName = names[topicKey(test.subject, test.topicNumber)] || null;
+    }
+    (test.questions || []).forEach(q => {
+      q.topicName = names[topicKey(subjectOf(test, q), q.topicNumber)] || null;
+    });
+  });
+  return tests;
+}
+
+// Check a question's topic number against the syllabus. Returns an error message
+// or null. Subjects without any syllabus topics yet accept any topic number.
+async function syllabusTopicError(subject, topicNumber) {
+  if (!subject || !topicNumber) return null;
+  if (!(await SyllabusNode.exists({ kind: 'topic', subject }))) return null;
+
+  const topic = await SyllabusNode.findOne({ kind: 'topic', subject, number: String(topicNumber) }).lean();
+  if (!topic) {
+    return `Topic ${topicNumber} is not in the ${subject} syllabus`;
+  }
+  if (!topic.active) {
+    return `Topic ${topicNumber} of ${subject} has been retired from the syllabus`;
+  }
+  return null;
+}
+
+// Whether another entry already uses a number. Topic numbers are unique within a
+// subject across both classes, because questions only carry subject and topic number.
+async function syllabusNumberTaken(node, number) {
+  const query = { kind: node.kind, subject: node.subject, number, _id: { $ne: node._id } };
+  if (node.kind !== 'topic') {
+    query.classLevel = node.classLevel;
+  }
+  return Boolean(await SyllabusNode.exists(query));
+}
+
+// Nest syllabus entries as class -> subject -> units -> chapters -> topics
+function buildSyllabusTree(nodes) {
+  const childrenOf = {};
+  nodes.forEach(node => {
+    const key = String(node.parent);
+    if (!childrenOf[key]) childrenOf[key] = [];
+    childrenOf[key].push(node);
+  });
+
+  const toEntry = node => {
+    const entry = {
+      _id: node._id,
+      number: node.number,
+      name: node.name,
+      ncertReference: node.ncertReference
+    };
+    const children = (childrenOf[String(node._id)] || []).map(toEntry);
+    if (node.kind === 'unit') entry.chapters = children;
+    if (node.kind === 'chapter') entry.topics = children;
+    return entry;
+  };
+
+  const tree = {};
+  nodes.filter(node => node.kind === 'unit').forEach(unit => {
+    if (!tree[unit.classLevel]) tree[unit.classLevel] = {};
+    if (!tree[unit.classLevel][unit.subject]) tree[unit.classLevel][unit.subject] = [];
+    tree[unit.classLevel][unit.subject].push(toEntry(unit));
+  });
+  return tree;
+}
+
+// Get the active NEET syllabus, optionally for one class or subject
+app.get('/syllabus', authenticateToken, async (req, res) => {
+  try {
+    const { classLevel, subject } = req.query;
+    const filter = { active: true };
+    if (classLevel) filter.classLevel = classLevel;
+    if (subject) filter.subject = subject.toLowerCase();
+
+    const nodes = await SyllabusNode.find(filter).sort({ order: 1, number: 1 }).lean();
+
+    // Leave out entries whose unit or chapter has been retired
+    const activeIds = new Set(nodes.map(node => String(node._id)));
+    const reachable = nodes.filter(node => node.kind === 'unit' || activeIds.has(String(node.parent)));
+
+    res.json(buildSyllabusTree(reachable));
+  } catch (error) {
+    console.error('Error fetching syllabus:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List syllabus entries, retired ones included (Admin only)
+app.get('/admin/syllabus', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { classLevel, subject, kind, parent } = req.query;
+    const filter = {};
+    if (classLevel) filter.classLevel = classLevel;
+    if (subject) filter.subject = subject.toLowerCase();
+    if (kind) filter.kind = kind;
+    if (parent) filter.parent = parent;
+
+    const nodes = await SyllabusNode.find(filter).sort({ classLevel: 1, subject: 1, order: 1, number: 1 }).lean();
+    res.json(nodes);
+  } catch (error) {
+    console.error('Error fetching syllabus entries:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid parent ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Add a unit, chapter or topic (Admin only). Chapters and topics take their class
+// and subject from their parent.
+app.post('/admin/syllabus', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { kind, parent, number, name, ncertReference, order } = req.body;
+    let { classLevel, subject } = req.body;
+
+    if (!kind || number === undefined || number === '' || !name) {
+      return res.status(400).json({ message: 'Kind, number and name are required' });
+    }
+
+    if (kind === 'unit') {
+      if (parent) {
+        return res.status(400).json({ message: 'Units cannot have a parent' });
+      }
+      subject = subject ? String(subject).toLowerCase() : subject;
+      if (!(await subjectKeys()).includes(subject)) {
+        return res.status(400).json({ message: `${subject} is not an active subject` });
+      }
+    } else if (SYLLABUS_PARENT_KINDS[kind]) {
+      const parentNode = parent && await SyllabusNode.findById(parent).lean();
+      if (!parentNode || parentNode.kind !== SYLLABUS_PARENT_KINDS[kind]) {
+        return res.status(400).json({ message: `A ${kind} must belong to a ${SYLLABUS_PARENT_KINDS[kind]}` });
+      }
+      classLevel = parentNode.classLevel;
+      subject = parentNode.subject;
+    } else {
+      return res.status(400).json({ message: 'Kind must be unit, chapter or topic' });
+    }
+
+    const node = new SyllabusNode({
+      kind,
+      classLevel,
+      subject,
+      parent: parent || null,
+      number: String(number).trim(),
+      name,
+      ncertReference,
+      order
+    });
+
+    if (await syllabusNumberTaken(node, node.number)) {
+      return res.status(409).json({ message: `${subject} already has a ${kind} numbered ${node.number}` });
+    }
+
+    await node.save();
+    res.status(201).json({ message: 'Syllabus entry created successfully', node });
+  } catch (error) {
+    console.error('Error creating syllabus entry:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Rename, renumber, reorder or retire a syllabus entry (Admin only)
+app.put('/admin/syllabus/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const node = await SyllabusNode.findById(req.params.id);
+    if (!node) {
+      return res.status(404).json({ message: 'Syllabus entry not found' });
+    }
+
+    if (req.body.number !== undefined && String(req.body.number).trim() !== node.number) {
+      const number = String(req.body.number).trim();
+      if (await syllabusNumberTaken(node, number)) {
+        return res.status(409).json({ message: `${node.subject} already has a ${node.kind} numbered ${number}` });
+      }
+      // Questions refer to topics by number, so a topic in use keeps its number
+      if (node.kind === 'topic') {
+        const questionCount = await Question.countDocuments({ subject: node.subject, topicNumber: node.number });
+        if (questionCount > 0) {
+          return res.status(409).json({
+            message: `Topic ${node.number} has ${questionCount} questions and cannot be renumbered`
+          });
+        }
+      }
+      req.body.number = number;
+    }
+
+    SYLLABUS_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        node[field] = req.body[field];
+      }
+    });
+    node.updatedAt = new Date();
+
+    await node.save();
+    res.json({ message: 'Syllabus entry updated successfully', node });
+  } catch (error) {
+    console.error('Error updating syllabus entry:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a syllabus entry nothing refers to (Admin only). Entries in use should be
+// retired with active: false instead.
+app.delete('/admin/syllabus/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const node = await SyllabusNode.findById(req.params.id).lean();
+    if (!node) {
+      return res.status(404).json({ message: 'Syllabus entry not found' });
+    }
+
+    const childCount = await SyllabusNode.countDocuments({ parent: node._id });
+    if (childCount > 0) {
+      return res.status(409).json({ message: `This ${node.kind} has ${childCount} entries under it and cannot be deleted` });
+    }
+
+    if (node.kind === 'topic') {
+      const questionCount = await Question.countDocuments({ subject: node.subject, topicNumber: node.number });
+      if (questionCount > 0) {
+        return res.status(409).json({
+          message: `Topic ${node.number} has ${questionCount} questions. Retire it instead.`
+        });
+      }
+    }
+
+    await SyllabusNode.deleteOne({ _id: node._id });
+    res.json({ message: 'Syllabus entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting syllabus entry:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid syllabus entry ID' });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// MARKING SCHEME ROUTES
+// =====================================================
+
+// Import Marking Scheme model
+const MarkingScheme = require('./models/MarkingScheme');
+
+// Keys a marking scheme can be attached to, per track
+async function markingSchemeTargetKeys(track) {
+  if (track === 'subject') return subjectKeys();
+  if (track === 'grammar') return GrammarQuestion.schema.path('module').enumValues;
+  if (track === 'aptitude') return AptitudeQuestion.schema.path('category').enumValues;
+  return [];
+}
+
+// Check the attachments of a marking scheme. Returns an error message, or null
+// when every target exists and is not already taken by another scheme.
+async function validateMarkingSchemeTargets(appliesTo, schemeId) {
+  if (!Array.isArray(appliesTo)) {
+    return 'appliesTo must be an array of { track, key } objects';
+  }
+
+  for (const target of appliesTo) {
+    if (!target || !target.track || !target.key) {
+      return 'Each appliesTo entry needs a track and a key';
+    }
+
+    const validKeys = await markingSchemeTargetKeys(target.track);
+    if (!validKeys.includes(target.key)) {
+      return `Invalid target ${target.track}:${target.key}. Valid ${target.track} keys: ${validKeys.join(', ')}`;
+    }
+
+    const conflict = await MarkingScheme.findOne({
+      _id: { $ne: schemeId },
+      appliesTo: { $elemMatch: { track: target.track, key: target.key } }
+    }).lean();
+
+    if (conflict) {
+      return `${target.track}:${target.key} is already graded with marking scheme "${conflict.name}"`;
+    }
+  }
+
+  return null;
+}
+
+// Find the marking scheme attached to the subject, grammar module or aptitude
+// category of a new session, falling back to the default scheme
+async function resolveMarkingScheme(sessionFields) {
+  let target = { track: 'subject', key: sessionFields.subject };
+  if (sessionFields.questionModel === 'GrammarQuestion') {
+    target = { track: 'grammar', key: sessionFields.module };
+  } else if (sessionFields.questionModel === 'AptitudeQuestion') {
+    target = { track: 'aptitude', key: sessionFields.category };
+  }
+
+  const scheme = await MarkingScheme.findOne({
+    appliesTo: { $elemMatch: target }
+  }).lean();
+
+  if (!scheme) {
+    return DEFAULT_MARKING_SCHEME;
+  }
+
+  return {
+    name: scheme.name,
+    correct: scheme.correct,
+    incorrect: scheme.incorrect,
+    unanswered: scheme.unanswered,
+    difficultyWeights: scheme.difficultyWeights,
+    passThreshold: scheme.passThreshold
+  };
+}
+
+// Get all marking schemes (Admin only)
+app.get('/admin/marking-schemes', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const schemes = await MarkingScheme.find().sort({ name: 1 });
+    res.json(schemes);
+  } catch (error) {
+    console.error('Error fetching marking schemes:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a marking scheme (Admin only)
+app.post('/admin/marking-schemes', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { name, correct, incorrect, unanswered, difficultyWeights, passThreshold, appliesTo } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: 'Required field missing: name' });
+    }
+
+    const targetError = await validateMarkingSchemeTargets(appliesTo || [], null);
+    if (targetError) {
+      return res.status(400).json({ message: targetError });
+    }
+
+    const scheme = new MarkingScheme({
+      name,
+      correct,
+      incorrect,
+      unanswered,
+      difficultyWeights,
+      passThreshold,
+      appliesTo: appliesTo || []
+    });
+
+    const validationError = scheme.validateSync();
+    if (validationError) {
+      return res.status(400).json({ message: 'Validation error', details: validationError.message });
+    }
+
+    await scheme.save();
+    console.log('Marking scheme created:', scheme.name);
+
+    res.status(201).json({ message: 'Marking scheme created successfully', markingScheme: scheme });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A marking scheme with this name already exists' });
+    }
+    console.error('Error creating marking scheme:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update a marking scheme (Admin only). Sessions already started keep the
+// scheme they were started with.
+app.put('/admin/marking-schemes/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const scheme = await MarkingScheme.findById(req.params.id);
+    if (!scheme) {
+      return res.status(404).json({ message: 'Marking scheme not found' });
+    }
+
+    const { name, correct, incorrect, unanswered, difficultyWeights, passThreshold, appliesTo } = req.body;
+
+    if (appliesTo !== undefined) {
+      const targetError = await validateMarkingSchemeTargets(appliesTo, scheme._id);
+      if (targetError) {
+        return res.status(400).json({ message: targetError });
+      }
+      scheme.appliesTo = appliesTo;
+    }
+
+    if (name !== undefined) scheme.name = name;
+    if (correct !== undefined) scheme.correct = correct;
+    if (incorrect !== undefined) scheme.incorrect = incorrect;
+    if (unanswered !== undefined) scheme.unanswered = unanswered;
+    if (difficultyWeights !== undefined) scheme.difficultyWeights = { ...scheme.difficultyWeights.toObject(), ...difficultyWeights };
+    if (passThreshold !== undefined) scheme.passThreshold = passThreshold;
+
+    const validationError = scheme.validateSync();
+    if (validationError) {
+      return res.status(400).json({ message: 'Validation error', details: validationError.message });
+    }
+
+    await scheme.save();
+    console.log('Marking scheme updated:', scheme.name);
+
+    res.json({ message: 'Marking scheme updated successfully', markingScheme: scheme });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A marking scheme with this name already exists' });
+    }
+    console.error('Error updating marking scheme:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a marking scheme (Admin only). Its targets fall back to the default scheme.
+app.delete('/admin/marking-schemes/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const deletedScheme = await MarkingScheme.findByIdAndDelete(req.params.id);
+
+    if (!deletedScheme) {
+      return res.status(404).json({ message: 'Marking scheme not found' });
+    }
+
+    res.json({ message: 'Marking scheme deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting marking scheme:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// TEST BLUEPRINT ROUTES
+// =====================================================
+
+// Import Test Blueprint model
+const TestBlueprint = require('./models/TestBlueprint');
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Check blueprint fields that the schema cannot express. Returns an error message or null.
+async function validateBlueprint(blueprint) {
+  const validSubjects = await subjectKeys();
+  if (!validSubjects.includes(blueprint.subject)) {
+    return 'Invalid subject. Must be one of: ' + validSubjects.join(', ');
+  }
+
+  if (!Array.isArray(blueprint.topics) || blueprint.topics.length === 0) {
+    return 'At least one topic is required';
+  }
+
+  const mix = blueprint.difficultyMix || {};
+  const mixTotal = DIFFICULTIES.reduce((sum, d) => sum + (Number(mix[d]) || 0), 0);
+  if (mixTotal !== 100) {
+    return `Difficulty mix must add up to 100% (got ${mixTotal}%)`;
+  }
+
+  if ((blueprint.minPerTopic || 0) * blueprint.topics.length > blueprint.questionCount) {
+    return `${blueprint.topics.length} topics with at least ${blueprint.minPerTopic} questions each need more than ${blueprint.questionCount} questions`;
+  }
+
+  return null;
+}
+
+// Split a question count across difficulties by percentage, giving the rounding
+// leftovers to the largest remainders so the counts add up exactly
+function splitByDifficultyMix(total, mix) {
+  const exact = DIFFICULTIES.map(difficulty => ({ difficulty, value: (total * (mix[difficulty] || 0)) / 100 }));
+  const counts = {};
+  let assigned = 0;
+
+  exact.forEach(({ difficulty, value }) => {
+    counts[difficulty] = Math.floor(value);
+    assigned += counts[difficulty];
+  });
+
+  exact
+    .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+    .slice(0, total - assigned)
+    .forEach(({ difficulty }) => counts[difficulty]++);
+
+  return counts;
+}
+
+// Draw a question set that satisfies a blueprint. Returns { questions, availability },
+// or { error, details, availability } listing each constraint the bank cannot meet.
+async function drawBlueprintQuestions(blueprint) {
+  const targets = splitByDifficultyMix(blueprint.questionCount, blueprint.difficultyMix);
+  const quotas = { ...targets };
+  const minPerTopic = blueprint.minPerTopic || 0;
+
+  const candidates = await Question.find({
+    subject: blueprint.subject,
+    topicNumber: { $in: blueprint.topics }
+  }).lean();
+
+  // Bucket the shuffled candidates by topic and difficulty
+  const buckets = {};
+  blueprint.topics.forEach(topic => {
+    buckets[topic] = { easy: [], medium: [], hard: [] };
+  });
+  candidates.sort(() => 0.5 - Math.random()).forEach(q => {
+    buckets[q.topicNumber][q.difficulty || 'medium'].push(q);
+  });
+
+  const availability = { byDifficulty: {}, byTopic: {} };
+  DIFFICULTIES.forEach(difficulty => {
+    availability.byDifficulty[difficulty] = candidates.filter(q => (q.difficulty || 'medium') === difficulty).length;
+  });
+  blueprint.topics.forEach(topic => {
+    availability.byTopic[topic] = DIFFICULTIES.reduce((sum, d) => sum + buckets[topic][d].length, 0);
+  });
+
+  const chosen = [];
+  const shortages = [];
+
+  // Give every topic its minimum first, spending the difficulty with the most quota left
+  blueprint.topics.forEach(topic => {
+    for (let i = 0; i < minPerTopic; i++) {
+      const difficulty = DIFFICULTIES
+        .filter(d => quotas[d] > 0 && buckets[topic][d].length > 0)
+        .sort((a, b) => quotas[b] - quotas[a])[0];
+
+      if (!difficulty) {
+        shortages.push({ constraint: 'topic', topicNumber: topic, required: minPerTopic, available: availability.byTopic[topic] });
+        break;
+      }
+
+      chosen.push(buckets[topic][difficulty].pop());
+      quotas[difficulty]--;
+    }
+  });
+
+  // Fill the remaining difficulty quotas, rotating through topics to spread questions out
+  DIFFICULTIES.forEach(difficulty => {
+    const pool = blueprint.topics.filter(topic => buckets[topic][difficulty].length > 0);
+    let index = 0;
+
+    while (quotas[difficulty] > 0 && pool.length > 0) {
+      index = index % pool.length;
+      const bucket = buckets[pool[index]][difficulty];
+      chosen.push(bucket.pop());
+      quotas[difficulty]--;
+
+      if (bucket.length === 0) {
+        pool.splice(index, 1);
+      } else {
+        index++;
+      }
+    }
+
+    if (quotas[difficulty] > 0) {
+      shortages.push({ constraint: 'difficulty', difficulty, required: targets[difficulty], available: availability.byDifficulty[difficulty] });
+    }
+  });
+
+  if (shortages.length > 0) {
+    return { error: 'The question bank cannot satisfy this blueprint', details: shortages, availability };
+  }
+
+  return { questions: chosen.sort(() => 0.5 - Math.random()), availability };
+}
+
+// Get all blueprints (Admin only)
+app.get('/admin/blueprints', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { subject } = req.query;
+    const filter = {};
+    if (subject) filter.subject = subject;
+
+    const blueprints = await TestBlueprint.find(filter).sort({ name: 1 });
+    res.json(blueprints);
+  } catch (error) {
+    console.error('Error fetching blueprints:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a blueprint (Admin only)
+app.post('/admin/blueprints', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const { name, subject, questionCount, difficultyMix, topics, minPerTopic } = req.body;
+
+    const blueprint = new TestBlueprint({
+      name,
+      subject: subject ? subject.toLowerCase() : subject,
+      questionCount,
+      difficultyMix,
+      topics: Array.isArray(topics) ? topics.map(String) : topics,
+      minPerTopic
+    });
+
+    const validationError = blueprint.validateSync();
+    if (validationError) {
+      return res.status(400).json({ message: 'Validation error', details: validationError.message });
+    }
+
+    const blueprintError = await validateBlueprint(blueprint);
+    if (blueprintError) {
+      return res.status(400).json({ message: blueprintError });
+    }
+
+    await blueprint.save();
+    console.log('Blueprint created:', blueprint.name);
+
+    res.status(201).json({ message: 'Blueprint created successfully', blueprint });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A blueprint with this name already exists' });
+    }
+    console.error('Error creating blueprint:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update a blueprint (Admin only)
+app.put('/admin/blueprints/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const blueprint = await TestBlueprint.findById(req.params.id);
+    if (!blueprint) {
+      return res.status(404).json({ message: 'Blueprint not found' });
+    }
+
+    const { name, subject, questionCount, difficultyMix, topics, minPerTopic } = req.body;
+
+    if (name !== undefined) blueprint.name = name;
+    if (subject !== undefined) blueprint.subject = subject.toLowerCase();
+    if (questionCount !== undefined) blueprint.questionCount = questionCount;
+    if (difficultyMix !== undefined) blueprint.difficultyMix = difficultyMix;
+    if (topics !== undefined) blueprint.topics = Array.isArray(topics) ? topics.map(String) : topics;
+    if (minPerTopic !== undefined) blueprint.minPerTopic = minPerTopic;
+
+    const validationError = blueprint.validateSync();
+    if (validationError) {
+      return res.status(400).json({ message: 'Validation error', details: validationError.message });
+    }
+
+    const blueprintError = await validateBlueprint(blueprint);
+    if (blueprintError) {
+      return res.status(400).json({ message: blueprintError });
+    }
+
+    await blueprint.save();
+    console.log('Blueprint updated:', blueprint.name);
+
+    res.json({ message: 'Blueprint updated successfully', blueprint });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A blueprint with this name already exists' });
+    }
+    console.error('Error updating blueprint:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a blueprint (Admin only)
+app.delete('/admin/blueprints/:id', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const deletedBlueprint = await TestBlueprint.findByIdAndDelete(req.params.id);
+
+    if (!deletedBlueprint) {
+      return res.status(404).json({ message: 'Blueprint not found' });
+    }
+
+    res.json({ message: 'Blueprint deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting blueprint:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Check whether the question bank can currently satisfy a blueprint (Admin only)
+app.get('/admin/blueprints/:id/check', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const blueprint = await TestBlueprint.findById(req.params.id).lean();
+    if (!blueprint) {
+      return res.status(404).json({ message: 'Blueprint not found' });
+    }
+
+    const result = await drawBlueprintQuestions(blueprint);
+
+    res.json({
+      satisfiable: !result.error,
+      targets: splitByDifficultyMix(blueprint.questionCount, blueprint.difficultyMix),
+      shortages: result.details || [],
+      availability: result.availability
+    });
+  } catch (error) {
+    console.error('Error checking blueprint:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List the blueprints a student can start an assessment from
+app.get('/student/blueprints', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { subject } = req.query;
+    const filter = {};
+    if (subject) filter.subject = subject.toLowerCase();
+
+    const blueprints = await TestBlueprint.find(filter)
+      .select('name subject questionCount difficultyMix topics minPerTopic')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json(blueprints);
+  } catch (error) {
+    console.error('Error fetching blueprints for student:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// ADAPTIVE PRACTICE
+// =====================================================
+
+// Elo-style ability model. Abilities and question difficulties share one logit
+// scale: a student whose ability equals a question's rating has a 50% chance.
+const DIFFICULTY_RATINGS = { easy: -1, medium: 0, hard: 1 };
+const ABILITY_LEARNING_RATE = 0.4;
+// Adaptive practice serves questions the student should get right about 70% of the time
+const ADAPTIVE_TARGET_SUCCESS = 0.7;
+
+// Probability that a student of the given ability answers a question correctly
+function expectedSuccess(ability, difficulty) {
+  return 1 / (1 + Math.exp(-(ability - (DIFFICULTY_RATINGS[difficulty] ?? 0))));
+}
+
+// Move an ability estimate towards the outcome of one answered question.
+// Correct answers that took longer than the allocated time count as partial credit.
+function updateAbility(ability, { isCorrect, difficulty, timeSpent, allocatedTime }) {
+  let outcome = isCorrect ? 1 : 0;
+  if (isCorrect && allocatedTime && timeSpent > allocatedTime) {
+    outcome = 0.7;
+  }
+  return ability + ABILITY_LEARNING_RATE * (outcome - expectedSuccess(ability, difficulty || 'medium'));
+}
+
+// Replay a student's answered questions for a subject, oldest first, to estimate
+// their ability per topic
+async function estimateTopicAbilities(studentId, subject) {
+  const history = await TestHistory.find({ studentId, subject })
+    .sort({ date: 1 })
+    .select('questions')
+    .lean();
+
+  const abilities = {};
+  history.forEach(test => {
+    (test.questions || []).forEach(q => {
+      // Skipped questions say nothing about ability
+      if (!q.topicNumber || q.selectedOption === '' || q.selectedOption === undefined) return;
+
+      const current = abilities[q.topicNumber] || { ability: 0, answered: 0 };
+      abilities[q.topicNumber] = {
+        ability: updateAbility(current.ability, q),
+        answered: current.answered + 1
+      };
+    });
+  });
+
+  return abilities;
+}
+
+// Difficulties ordered from the best to the worst match for a student's ability
+function rankDifficultiesForAbility(ability) {
+  const targetRating = ability - Math.log(ADAPTIVE_TARGET_SUCCESS / (1 - ADAPTIVE_TARGET_SUCCESS));
+  return Object.keys(DIFFICULTY_RATINGS)
+    .sort((a, b) => Math.abs(DIFFICULTY_RATINGS[a] - targetRating) - Math.abs(DIFFICULTY_RATINGS[b] - targetRating));
+}
+
+// Pick an unserved question from a topic at the difficulty that best fits the
+// student's ability, falling back to the next-best difficulty when one runs out
+async function pickAdaptiveQuestion(subject, topicNumber, ability, servedIds) {
+  for (const difficulty of rankDifficultiesForAbility(ability)) {
+    const [question] = await sampleQuestions(Question, { subject, topicNumber, difficulty }, 1, servedIds);
+    if (question) {
+      return question;
+    }
+  }
+  return null;
+}
+
+// Get the student's estimated ability for every topic of a subject they have practised
+app.get('/student/adaptive/abilities', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { subject } = req.query;
+    if (!subject) {
+      return res.status(400).json({ message: 'Subject is required' });
+    }
+
+    const abilities = await estimateTopicAbilities(req.user.userId, subject.toLowerCase());
+    const topicNames = await loadTopicNames(
+      Object.keys(abilities).map(topicNumber => ({ subject: subject.toLowerCase(), topicNumber })));
+
+    Object.keys(abilities).forEach(topicNumber => {
+      const { ability } = abilities[topicNumber];
+      abilities[topicNumber].recommendedDifficulty = rankDifficultiesForAbility(ability)[0];
+      abilities[topicNumber].topicName = topicNames[topicKey(subject.toLowerCase(), topicNumber)] || null;
+    });
+
+    res.json({ subject: subject.toLowerCase(), abilities });
+  } catch (error) {
+    console.error('Error estimating abilities:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// TEST SESSION ROUTES
+// =====================================================
+
+// Import Test Session model
+const TestSession = require('./models/TestSession');
+
+// One mark per correct answer, nothing deducted and a 70% pass mark. Used when no
+// marking scheme is attached to the subject, grammar module or aptitude category.
+const DEFAULT_MARKING_SCHEME = {
+  name: 'Default',
+  correct: 1,
+  incorrect: 0,
+  unanswered: 0,
+  difficultyWeights: { easy: 1, medium: 1, hard: 1 },
+  passThreshold: 70
+};
+
+// Late submissions are still accepted this long after a session's deadline,
+// to allow for network latency
+const SUBMIT_GRACE_MS = 60 * 1000;
+
+// Untimed sessions with no activity for this long are closed as abandoned
+const STALE_SESSION_MS = 24 * 60 * 60 * 1000;
+const SESSION_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+let staleSessionSweeper = null;
+
+// NEET paper pattern used by mock exams: 180 questions, 200 minutes, +4/-1/0 marking.
+// Botany and zoology are both drawn from biology questions, preferring questions
+// tagged with the matching branch.
+const NEET_MOCK_PATTERN = {
+  durationMinutes: 200,
+  markingScheme: { ...DEFAULT_MARKING_SCHEME, name: 'NEET', correct: 4, incorrect: -1 },
+  sections: [
+    { key: 'physics', name: 'Physics', questionCount: 45, queries: [{ subject: 'physics' }] },
+    { key: 'chemistry', name: 'Chemistry', questionCount: 45, queries: [{ subject: 'chemistry' }] },
+    {
+      key: 'botany',
+      name: 'Botany',
+      questionCount: 45,
+      queries: [{ subject: 'biology', branch: 'botany' }, { subject: 'biology', branch: { $in: ['', null] } }]
+    },
+    {
+      key: 'zoology',
+      name: 'Zoology',
+      questionCount: 45,
+      queries: [{ subject: 'biology', branch: 'zoology' }, { subject: 'biology', branch: { $in: ['', null] } }]
+    }
+  ]
+};
+
+// Strip the answer key and explanation from a question before it reaches a student
+function toStudentQuestion(question, section) {
+  return {
+    id: question._id,
+    text: question.questionText,
+    options: question.options,
+    topicNumber: question.topicNumber || question.topic,
+    difficulty: question.difficulty || 'medium',
+    imageUrl: question.imageUrl || '',
+    timeAllocation: question.timeAllocation || 60,
+    section
+  };
+}
+
+// Session details a student may see while taking the test, with its questions in order
+function toStudentSession(session, questionsById) {
+  return {
+    sessionId: session._id,
+    subject: session.subject,
+    mode: session.testMode,
+    status: session.status,
+    startedAt: session.startedAt,
+    durationMinutes: session.durationMinutes,
+    expiresAt: session.expiresAt,
+    markingScheme: session.markingScheme,
+    sections: session.sections,
+    customBuild: session.testMode === 'custom' ? session.customBuild : undefined,
+    questions: session.questions
+      .filter(q => questionsById.has(q.questionId.toString()))
+      .map(q => toStudentQuestion(questionsById.get(q.questionId.toString()), q.section))
+  };
+}
+
+// Draw `size` random questions matching the query, skipping ids already used
+async function sampleQuestions(model, query, size, excludeIds) {
+  if (size <= 0) return [];
+  return model.aggregate([
+    { $match: { $and: [query, { _id: { $nin: excludeIds } }] } },
+    { $sample: { size } }
+  ]);
+}
+
+// Find the Student profile that belongs to the logged-in user. Tokens carry the
+// profile's id; older tokens are resolved through the account's link.
+async function findStudentForUser(user) {
+  if (user.studentId) {
+    return Student.findById(user.studentId);
+  }
+  const account = await User.findById(user.userId).select('student').lean();
+  return account && account.student ? Student.findById(account.student) : null;
+}
+
+// Turn a submitted option into an index, or null when the question was skipped
+function parseSelectedOption(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const index = Number(value);
+  return Number.isInteger(index) ? index : null;
+}
+
+// Work out which question bank and filter a new session draws from. Selections
+// that need more than a single query provide their own draw function. Returns
+// { error } when the request parameters are invalid.
+async function buildSessionSelection(params, studentId) {
+  const { subject, mode, topicNumber, topics, blueprintId } = params;
+
+  if (mode === 'mock') {
+    return {
+      draw: () => drawSectionQuestions(Question, NEET_MOCK_PATTERN.sections),
+      session: {
+        subject: 'neet',
+        testMode: 'mock',
+        durationMinutes: NEET_MOCK_PATTERN.durationMinutes,
+        markingScheme: NEET_MOCK_PATTERN.markingScheme,
+        sections: NEET_MOCK_PATTERN.sections.map(({ key, name, questionCount }) => ({ key, name, questionCount }))
+      }
+    };
+  }
+
+  if (mode === 'assessment' && blueprintId) {
+    const blueprint = mongoose.Types.ObjectId.isValid(blueprintId) ?
+      await TestBlueprint.findById(blueprintId).lean() : null;
+    if (!blueprint) {
+      return { error: 'Blueprint not found' };
+    }
+
+    return {
+      draw: () => drawBlueprintQuestions(blueprint),
+      session: { subject: blueprint.subject, testMode: mode, topics: blueprint.topics, blueprintId: blueprint._id }
+    };
+  }
+
+  if (mode === 'custom') {
+    const build = await parseCustomBuild(params);
+    if (build.error) {
+      return { error: build.error };
+    }
+
+    return {
+      draw: () => drawCustomQuestions(build, studentId),
+      session: {
+        subject: build.subjects.length === 1 ? build.subjects[0] : 'mixed',
+        testMode: mode,
+        topics: build.topics,
+        customBuild: build
+      }
+    };
+  }
+
+  if (!subject) {
+    return { error: 'Subject is required' };
+  }
+
+  const subjectKey = subject.toLowerCase();
+
+  if (subjectKey === 'grammar') {
+    const { module } = params;
+    if (!module) {
+      return { error: 'Module is required' };
+    }
+
+    const query = { module };
+    if (topicNumber) {
+      const lockError = await grammarTopicLockError(studentId, module, topicNumber);
+      if (lockError) {
+        return { error: lockError };
+      }
+      query.topicNumber = topicNumber;
+    } else {
+      // A whole-module test only draws from the topics the student has unlocked
+      query.topicNumber = { $nin: await lockedGrammarTopicNumbers(studentId, module) };
+    }
+
+    return {
+      model: GrammarQuestion,
+      query,
+      session: { subject: 'grammar', questionModel: 'GrammarQuestion', testMode: 'grammar_practice', module, topicNumber }
+    };
+  }
+
+  if (subjectKey === 'aptitude') {
+    const { category, grade, difficulty, topic } = params;
+    if (!category || !grade || !difficulty) {
+      return { error: 'Category, grade, and difficulty are required' };
+    }
+
+    const query = { category, grade, difficulty };
+    if (topic) {
+      query.topic = topic;
+    }
+
+    return {
+      model: AptitudeQuestion,
+      query,
+      // Aptitude tests serve a random selection of at most 20 questions
+      limit: 20,
+      session: { subject: 'aptitude', questionModel: 'AptitudeQuestion', testMode: 'aptitude_practice', category, grade, difficulty, topic }
+    };
+  }
+
+  const query = { subject: subjectKey };
+
+  if (mode === 'practice') {
+    if (!topicNumber) {
+      return { error: 'Topic number is required for practice mode' };
+    }
+    query.topicNumber = topicNumber;
+
+    return {
+      model: Question,
+      query,
+      session: { subject: subjectKey, testMode: mode, topicNumber }
+    };
+  }
+
+  if (mode === 'adaptive') {
+    if (!topicNumber) {
+      return { error: 'Topic number is required for adaptive mode' };
+    }
+
+    // Serve the first question now; the rest are chosen one at a time as answers arrive
+    return {
+      draw: async () => {
+        const abilities = await estimateTopicAbilities(studentId, subjectKey);
+        const ability = abilities[topicNumber]?.ability || 0;
+        const first = await pickAdaptiveQuestion(subjectKey, topicNumber, ability, []);
+        if (!first) {
+          return { error: 'No questions available for this topic' };
+        }
+        return { questions: [first], session: { adaptive: { ability, questionCount: parseInt(params.count) || 20 } } };
+      },
+      session: { subject: subjectKey, testMode: mode, topicNumber }
+    };
+  }
+
+  if (mode === 'assessment') {
+    if (!topics) {
+      return { error: 'Topics are required for assessment mode' };
+    }
+    const topicsList = Array.isArray(topics) ? topics : topics.split(',');
+    query.topicNumber = { $in: topicsList };
+
+    return {
+      model: Question,
+      query,
+      // Use requested count or default to 40
+      limit: parseInt(params.count) || 40,
+      session: { subject: subjectKey, testMode: mode, topics: topicsList }
+    };
+  }
+
+  return { error: 'Mode must be one of: practice, assessment, adaptive, mock, custom' };
+}
+
+// Fill each section of a sectioned paper from its queries in order until it has
+// enough questions. Returns { error, details } listing short sections otherwise.
+async function drawSectionQuestions(model, sections) {
+  const questions = [];
+  const sessionQuestions = [];
+  const shortages = [];
+
+  for (const section of sections) {
+    const sectionQuestions = [];
+    for (const query of section.queries) {
+      const usedIds = questions.concat(sectionQuestions).map(q => q._id);
+      const drawn = await sampleQuestions(model, query, section.questionCount - sectionQuestions.length, usedIds);
+      sectionQuestions.push(...drawn);
+    }
+
+    if (sectionQuestions.length < section.questionCount) {
+      shortages.push({ section: section.key, required: section.questionCount, available: sectionQuestions.length });
+    }
+
+    questions.push(...sectionQuestions);
+    sessionQuestions.push(...sectionQuestions.map(q => ({ questionId: q._id, section: section.key })));
+  }
+
+  if (shortages.length > 0) {
+    return { error: 'Not enough questions in the question bank for this test', details: shortages };
+  }
+
+  return { questions, sessionQuestions };
+}
+
+// Pick the questions for a new session and store it. Returns { error } when the
+// request parameters are invalid or the question bank cannot supply the test.
+// `client` is the IP and user agent the test is started from, for proctoring.
+async function startTestSession(studentId, params, client) {
+  const selection = await buildSessionSelection(params, studentId);
+
+  if (selection.error) {
+    return { error: selection.error };
+  }
+
+  return createTestSession(studentId, selection, client);
+}
+
+// Draw the questions of a selection and store the new session
+async function createTestSession(studentId, selection, client) {
+  let questions;
+  let sessionQuestions;
+  let drawnSessionFields = {};
+
+  if (selection.draw) {
+    const drawn = await selection.draw();
+    if (drawn.error) {
+      return { error: drawn.error, details: drawn.details };
+    }
+    questions = drawn.questions;
+    sessionQuestions = drawn.sessionQuestions || questions.map(q => ({ questionId: q._id }));
+    drawnSessionFields = drawn.session || {};
+  } else {
+    questions = await selection.model.find(selection.query).lean();
+
+    if (selection.limit) {
+      questions = questions.sort(() => 0.5 - Math.random()).slice(0, selection.limit);
+    }
+
+    sessionQuestions = questions.map(q => ({ questionId: q._id }));
+  }
+
+  // Snapshot the marking scheme so later edits do not change how this attempt is graded
+  const markingScheme = selection.session.markingScheme || await resolveMarkingScheme(selection.session);
+  const sessionFields = { ...selection.session, ...drawnSessionFields };
+
+  // Timed tests run on the server's clock, so time keeps running while the student is away
+  const startedAt = new Date();
+  if (sessionFields.durationMinutes && !sessionFields.expiresAt) {
+    sessionFields.expiresAt = new Date(startedAt.getTime() + sessionFields.durationMinutes * 60000);
+  }
+
+  // The first question is open from the start
+  if (sessionQuestions.length > 0) {
+    sessionQuestions[0].servedAt = startedAt;
+  }
+
+  const session = await TestSession.create({
+    ...sessionFields,
+    markingScheme,
+    studentId,
+    startedAt,
+    currentQuestionSince: startedAt,
+    integrity: client ? { ip: client.ip, userAgent: client.userAgent } : undefined,
+    questions: sessionQuestions
+  });
+
+  console.log(`Started ${session.testMode} test session ${session._id} with ${questions.length} questions`);
+  return { session, questions, questionsById: new Map(questions.map(q => [q._id.toString(), q])) };
+}
+
+// Load the question documents of a session, keyed by id
+async function loadSessionQuestions(session) {
+  const questionModel = mongoose.model(session.questionModel || 'Question');
+  const questionIds = session.questions.map(q => q.questionId);
+  const questionDocs = await questionModel.find({ _id: { $in: questionIds } }).lean();
+  return new Map(questionDocs.map(q => [q._id.toString(), q]));
+}
+
+// Grade submitted answers against the answer key of the questions in the session.
+// Marks follow the session's marking scheme; the percentage score is the share of
+// the maximum marks obtained.
+async function gradeTestSession(session, answers) {
+  const questionsById = await loadSessionQuestions(session);
+  const markingScheme = session.markingScheme || DEFAULT_MARKING_SCHEME;
+  const difficultyWeights = markingScheme.difficultyWeights || DEFAULT_MARKING_SCHEME.difficultyWeights;
+
+  const answersById = new Map();
+  (answers || []).forEach(answer => {
+    const id = answer.questionId || answer.id || answer._id;
+    if (id) {
+      answersById.set(id.toString(), answer);
+    }
+  });
+
+  const gradedQuestions = [];
+  session.questions.forEach(sessionQuestion => {
+    const { questionId, section } = sessionQuestion;
+    const question = questionsById.get(questionId.toString());
+    // Skip questions that were deleted after the session started
+    if (!question) return;
+
+    // Adaptive sessions only count recorded answers, since each one was marked
+    // when it was given. Otherwise the submitted answer wins over an autosaved one.
+    let answer = sessionQuestion.answeredAt ? sessionQuestion : {};
+    if (session.testMode !== 'adaptive') {
+      answer = answersById.get(questionId.toString()) || answer;
+    }
+    const selected = parseSelectedOption(answer.selectedOption);
+    const isCorrect = selected !== null && selected === question.correctOption;
+    const difficulty = question.difficulty || 'medium';
+    const weight = difficultyWeights[difficulty] ?? 1;
+
+    let marks = markingScheme.incorrect * weight;
+    if (isCorrect) {
+      marks = markingScheme.correct * weight;
+    } else if (selected === null) {
+      marks = markingScheme.unanswered * weight;
+    }
+
+    gradedQuestions.push({
+      text: question.questionText,
+      selectedOption: selected === null ? '' : String(selected),
+      correctOption: String(question.correctOption),
+      isCorrect,
+      marks,
+      maxMarks: markingScheme.correct * weight,
+      timeSpent: Math.round(sessionQuestion.timeSpent || 0),
+      allocatedTime: question.timeAllocation || 60,
+      explanation: question.explanation || 'No explanation available',
+      topicNumber: question.topicNumber || question.topic,
+      difficulty,
+      section,
+      questionId: question._id
+    });
+  });
+
+  const correctAnswers = gradedQuestions.filter(q => q.isCorrect).length;
+  const unanswered = gradedQuestions.filter(q => q.selectedOption === '').length;
+  const incorrectAnswers = gradedQuestions.length - correctAnswers - unanswered;
+  const marks = {
+    obtained: gradedQuestions.reduce((sum, q) => sum + q.marks, 0),
+    maximum: gradedQuestions.reduce((sum, q) => sum + q.maxMarks, 0)
+  };
+  const score = marks.maximum > 0 ? Math.max(0, Math.round((marks.obtained / marks.maximum) * 100)) : 0;
+  const averageTimePerQuestion = gradedQuestions.length > 0 ?
+    gradedQuestions.reduce((sum, q) => sum + q.timeSpent, 0) / gradedQuestions.length : 0;
+
+  // Calculate topic-wise performance. Mixed and mock tests hold questions of
+  // several subjects, so topics are keyed by subject and topic number.
+  const topicWisePerformance = {};
+  gradedQuestions.forEach(q => {
+    const subject = questionsById.get(q.questionId.toString()).subject || session.subject;
+    const topicNumber = q.topicNumber || '1';
+    const topic = topicKey(subject, topicNumber);
+    if (!topicWisePerformance[topic]) {
+      topicWisePerformance[topic] = { subject, topicNumber, total: 0, correct: 0, score: 0 };
+    }
+    topicWisePerformance[topic].total++;
+    if (q.isCorrect) {
+      topicWisePerformance[topic].correct++;
+    }
+  });
+
+  Object.keys(topicWisePerformance).forEach(topic => {
+    const { total, correct } = topicWisePerformance[topic];
+    topicWisePerformance[topic].score = total > 0 ? Math.round((correct / total) * 100) : 0;
+  });
+
+  const performanceMetrics = {
+    correctAnswers,
+    incorrectAnswers,
+    unanswered,
+    topicWisePerformance,
+    averageTimePerQuestion
+  };
+
+  // Raw marks per section for sectioned papers such as mock exams
+  if (session.sections && session.sections.length > 0) {
+    const sectionWisePerformance = {};
+    session.sections.forEach(({ key, name }) => {
+      const sectionQuestions = gradedQuestions.filter(q => q.section === key);
+      sectionWisePerformance[key] = {
+        name,
+        total: sectionQuestions.length,
+        correct: sectionQuestions.filter(q => q.isCorrect).length,
+        incorrect: sectionQuestions.filter(q => !q.isCorrect && q.selectedOption !== '').length,
+        unanswered: sectionQuestions.filter(q => q.selectedOption === '').length,
+        marks: sectionQuestions.reduce((sum, q) => sum + q.marks, 0),
+        maxMarks: sectionQuestions.reduce((sum, q) => sum + q.maxMarks, 0)
+      };
+    });
+    performanceMetrics.sectionWisePerformance = sectionWisePerformance;
+  }
+
+  return {
+    questions: gradedQuestions,
+    score,
+    passed: score >= markingScheme.passThreshold,
+    marks,
+    markingScheme,
+    performanceMetrics
+  };
+}
+
+// Record a graded attempt in one of the student's progress maps: topicProgress
+// (subject, topic number), grammarProgress (module, topic number) or
+// aptitudeProgress (grade, category, difficulty)
+async function recordTrackProgress(user, field, keys, score, passed) {
+  const student = await findStudentForUser(user);
+  if (!student) {
+    console.log(`No student profile found for ${field} update:`, user.username);
+    return;
+  }
+
+  let progressMap = student[field];
+  keys.slice(0, -1).forEach(key => {
+    if (!progressMap.get(key)) {
+      progressMap.set(key, {});
+    }
+    progressMap = progressMap.get(key);
+  });
+
+  const lastKey = keys[keys.length - 1];
+  const current = progressMap.get(lastKey);
+
+  progressMap.set(lastKey, {
+    progress: Math.max(current?.progress || 0, score),
+    completed: passed || !!current?.completed,
+    attemptsCount: (current?.attemptsCount || 0) + 1,
+    lastScore: score,
+    lastAttemptDate: new Date()
+  });
+
+  await student.save();
+  console.log(`Updated ${field} for ${keys.join(' / ')} to ${score}%`);
+}
+
+// The progress map and keys a completed session counts towards, if any
+function progressTrackFor(session) {
+  if (['practice', 'adaptive'].includes(session.testMode) && session.topicNumber) {
+    return { field: 'topicProgress', keys: [session.subject, session.topicNumber] };
+  }
+  if (session.testMode === 'grammar_practice' && session.module && session.topicNumber) {
+    return { field: 'grammarProgress', keys: [session.module, session.topicNumber] };
+  }
+  if (session.testMode === 'aptitude_practice' && session.grade && session.category && session.difficulty) {
+    return { field: 'aptitudeProgress', keys: [session.grade, session.category, session.difficulty] };
+  }
+  return null;
+}
+
+// Grade a session, save the TestHistory document and update topic progress.
+// Pass questionModel to only accept sessions from that question bank.
+// Returns null when the session does not exist or was already submitted, and
+// { error } alongside the result when the deadline had passed and the session
+// was submitted with its autosaved answers instead.
+async function submitTestSession(req, sessionId, questionModel) {
+  const studentId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return null;
+  }
+
+  const filter = { _id: sessionId, studentId, status: 'in_progress' };
+  if (questionModel) {
+    filter.questionModel = questionModel;
+  }
+
+  // Claim the session atomically so a double submit cannot grade it twice.
+  // Sessions past their deadline (plus a short grace period) cannot be claimed.
+  const graceCutoff = new Date(Date.now() - SUBMIT_GRACE_MS);
+  const session = await TestSession.findOneAndUpdate(
+    { ...filter, $or: [{ expiresAt: null }, { expiresAt: { $gte: graceCutoff } }] },
+    { status: 'submitted', submittedAt: new Date() },
+    { new: true }
+  );
+
+  if (!session) {
+    const expired = await submitExpiredSession(filter);
+    if (expired) {
+      return { ...expired, error: 'The time allowed for this test is over. Your saved answers were submitted.' };
+    }
+    return null;
+  }
+
+  try {
+    await trackClientIdentity(session, req);
+  } catch (proctoringError) {
+    console.error('Error checking client identity on submit:', proctoringError);
+  }
+
+  return recordSessionResult(session, {
+    user: req.user,
+    answers: req.body.answers || req.body.questions,
+    userAgent: req.headers['user-agent'],
+    screenSize: req.body.screenSize,
+    pauseDuration: req.body.pauseDuration,
+    questionTransitionTimes: req.body.questionTransitionTimes,
+    optionChanges: req.body.optionChanges,
+    reviewMarked: req.body.reviewMarked
+  });
+}
+
+// Submit a session whose deadline has passed, grading the answers autosaved before it
+async function submitExpiredSession(filter) {
+  const session = await TestSession.findOneAndUpdate(
+    { ...filter, status: 'in_progress', expiresAt: { $lt: new Date(Date.now() - SUBMIT_GRACE_MS) } },
+    [{ $set: { status: 'submitted', submittedAt: '$expiresAt', autoSubmitted: true } }],
+    { new: true }
+  );
+
+  if (!session) {
+    return null;
+  }
+
+  console.log(`Auto-submitting expired test session ${session._id}`);
+  return recordSessionResult(session, { user: await findUserForSession(session) });
+}
+
+// The logged-in user shape (userId, username, studentId) for the owner of a session
+async function findUserForSession(session) {
+  const user = await User.findById(session.studentId).select('username student').lean();
+  return {
+    userId: session.studentId.toString(),
+    username: user ? user.username : undefined,
+    studentId: user ? user.student : undefined
+  };
+}
+
+// Grade a claimed session and save it to the test history. Answers missing from
+// the submission fall back to the ones autosaved on the session; adaptive
+// sessions only count the answers recorded one at a time. Abandoned
+// sessions are saved as incomplete attempts and do not count towards progress.
+// Returns { testResult, graded }.
+async function recordSessionResult(session, submission) {
+  const studentId = session.studentId;
+  const completed = session.status === 'submitted';
+
+  // Time on the question that was open when the session closed
+  trackQuestionTime(session, session.submittedAt);
+
+  const graded = await gradeTestSession(session, submission.answers);
+  const passedLevel = completed && graded.passed;
+  const endTime = session.expiresAt && session.expiresAt < session.submittedAt ? session.expiresAt : session.submittedAt;
+  const totalTime = Math.round((endTime - session.startedAt) / 60000);
+
+  // Get browser and platform info if available
+  const userAgent = submission.userAgent || '';
+  const deviceInfo = {
+    browser: getBrowserInfo(userAgent),
+    platform: getPlatformInfo(userAgent),
+    screenSize: submission.screenSize || 'unknown'
+  };
+
+  // Calculate improvements compared to previous attempts
+  let improvement = {
+    previousBestScore: 0,
+    scoreImprovement: 0,
+    timeImprovement: 0
+  };
+
+  try {
+    const previousQuery = { studentId, subject: session.subject, testMode: session.testMode, isCompleted: { $ne: false } };
+    if (session.topicNumber) {
+      previousQuery.topicNumber = session.topicNumber;
+    }
+
+    const previousAttempts = await TestHistory.find(previousQuery)
+      .sort({ date: -1 })
+      .limit(5);
+
+    if (previousAttempts.length > 0) {
+      const previousBestScore = Math.max(...previousAttempts.map(a => a.score || 0));
+      const previousAverageTime =
+        previousAttempts.reduce((sum, a) => sum + (a.totalTime || 0), 0) / previousAttempts.length;
+
+      improvement = {
+        previousBestScore,
+        scoreImprovement: graded.score - previousBestScore,
+        timeImprovement: previousAverageTime - totalTime
+      };
+    }
+  } catch (improvementError) {
+    console.error('Error calculating improvement metrics:', improvementError);
+    // Continue without improvement data
+  }
+
+  const testResult = new TestHistory({
+    studentId,
+    subject: session.subject,
+    score: graded.score,
+    markingScheme: graded.markingScheme,
+    marks: graded.marks,
+    questions: graded.questions,
+    totalTime,
+    passedLevel,
+    date: new Date(),
+    testMode: session.testMode,
+    module: session.module,
+    category: session.category,
+    grade: session.grade,
+    difficulty: session.difficulty,
+    topic: session.topic,
+    topicNumber: session.topicNumber,
+    topics: ['assessment', 'custom'].includes(session.testMode) ? session.topics : undefined,
+    blueprintId: session.blueprintId,
+    customBuild: session.testMode === 'custom' ? session.customBuild : undefined,
+    scheduledExamId: session.scheduledExamId,
+    deviceInfo,
+    timingDetails: {
+      startTime: session.startedAt,
+      endTime: session.submittedAt,
+      pauseDuration: submission.pauseDuration || 0,
+      questionTransitionTimes: submission.questionTransitionTimes || []
+    },
+    performanceMetrics: graded.performanceMetrics,
+    userActions: {
+      optionChanges: submission.optionChanges || session.optionChanges || 0,
+      reviewMarked: submission.reviewMarked || session.reviewMarked || []
+    },
+    isCompleted: completed,
+    improvement
+  });
+
+  await testResult.save();
+  console.log('Test history saved successfully with ID:', testResult._id);
+
+  session.testHistoryId = testResult._id;
+  await session.save();
+
+  if (!completed) {
+    return { testResult, graded };
+  }
+
+  let promotion = null;
+  if (submission.user.username) {
+    try {
+      promotion = await applyProgression(submission.user, session, testResult);
+    } catch (progressionError) {
+      console.error('Error applying level progression:', progressionError);
+    }
+  }
+
+  // For practice tests, update topic, grammar or aptitude progress
+  const track = progressTrackFor(session);
+  if (track && submission.user.username) {
+    try {
+      await recordTrackProgress(submission.user, track.field, track.keys, graded.score, passedLevel);
+    } catch (progressError) {
+      console.error('Error updating topic progress:', progressError);
+      // Continue execution even if progress update fails
+    }
+  }
+
+  try {
+    await scheduleMissedQuestions(studentId, session, graded.questions, testResult._id);
+  } catch (reviewError) {
+    console.error('Error scheduling missed questions for review:', reviewError);
+  }
+
+  return { testResult, graded, promotion };
+}
+
+// Start a new test session and return its questions without answers
+app.post('/student/test-sessions', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const result = await startTestSession(req.user.userId, req.body, clientInfo(req));
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error, details: result.details });
+    }
+
+    res.status(201).json(toStudentSession(result.session, result.questionsById));
+  } catch (error) {
+    console.error('Error starting test session:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Whether a session's deadline, plus the grace period for latency, has passed
+function isPastDeadline(session, now) {
+  return Boolean(session.expiresAt) && now - session.expiresAt > SUBMIT_GRACE_MS;
+}
+
+// Charge the time since the open question was shown to its timeSpent, stopping at
+// the session's deadline, then make `nextIndex` the open question. The first time
+// a question is opened is recorded as its servedAt.
+function trackQuestionTime(session, now, nextIndex = session.currentQuestionIndex) {
+  const end = session.expiresAt && session.expiresAt < now ? session.expiresAt : now;
+  const open = session.questions[session.currentQuestionIndex];
+  if (open && session.currentQuestionSince && end > session.currentQuestionSince) {
+    open.timeSpent = (open.timeSpent || 0) + (end - session.currentQuestionSince) / 1000;
+  }
+
+  session.currentQuestionIndex = nextIndex;
+  const next = session.questions[nextIndex];
+  if (next && !next.servedAt) {
+    next.servedAt = now;
+  }
+  session.currentQuestionSince = now;
+}
+
+// Seconds left before a timed session's deadline, or null for untimed sessions
+function remainingSeconds(session, now) {
+  if (!session.expiresAt) return null;
+  return Math.max(0, Math.round((new Date(session.expiresAt) - now) / 1000));
+}
+
+// Everything needed to put a student back where they left off: the questions in
+// their original order plus the autosaved answers, flags and time
+function toResumeState(session, questionsById, now) {
+  return {
+    ...toStudentSession(session, questionsById),
+    answers: session.questions
+      .filter(q => q.answeredAt)
+      .map(q => ({ questionId: q.questionId, selectedOption: q.selectedOption, timeSpent: Math.round(q.timeSpent || 0) })),
+    elapsedSeconds: Math.round(session.questions.reduce((sum, q) => sum + (q.timeSpent || 0), 0)),
+    currentQuestionIndex: session.currentQuestionIndex || 0,
+    reviewMarked: session.reviewMarked || [],
+    optionChanges: session.optionChanges || 0,
+    remainingSeconds: remainingSeconds(session, now),
+    lastActivityAt: session.lastActivityAt
+  };
+}
+
+// Close sessions nobody will come back to. Timed sessions past their deadline are
+// submitted with their autosaved answers; untimed sessions left untouched for a day
+// are saved to the history as incomplete attempts.
+async function closeStaleSessions() {
+  const expired = await TestSession.find({
+    status: 'in_progress',
+    expiresAt: { $lt: new Date(Date.now() - SUBMIT_GRACE_MS) }
+  }).select('_id').lean();
+
+  for (const { _id } of expired) {
+    await submitExpiredSession({ _id });
+  }
+
+  const stale = await TestSession.find({
+    status: 'in_progress',
+    expiresAt: null,
+    lastActivityAt: { $lt: new Date(Date.now() - STALE_SESSION_MS) }
+  }).select('_id').lean();
+
+  for (const { _id } of stale) {
+    const session = await TestSession.findOneAndUpdate(
+      { _id, status: 'in_progress' },
+      [{ $set: { status: 'abandoned', submittedAt: '$lastActivityAt' } }],
+      { new: true }
+    );
+    if (session) {
+      console.log(`Abandoning inactive test session ${session._id}`);
+      await recordSessionResult(session, { user: await findUserForSession(session) });
+    }
+  }
+}
+
+// Run closeStaleSessions periodically once the database is connected
+function startStaleSessionSweeper() {
+  if (staleSessionSweeper) return;
+  staleSessionSweeper = setInterval(() => {
+    closeStaleSessions().catch(error => console.error('Error closing stale test sessions:', error));
+  }, SESSION_SWEEP_INTERVAL_MS);
+}
+
+// List the student's unfinished sessions so an interrupted test can be resumed
+app.get('/student/test-sessions', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const now = new Date();
+    const sessions = await TestSession.find({ studentId: req.user.userId, status: 'in_progress' })
+      .sort({ lastActivityAt: -1 })
+      .lean();
+
+    res.json(sessions
+      // Sessions past their deadline are submitted by the sweeper, not resumed
+      .filter(session => !session.expiresAt || session.expiresAt > now)
+      .map(session => ({
+        sessionId: session._id,
+        subject: session.subject,
+        mode: session.testMode,
+        startedAt: session.startedAt,
+        lastActivityAt: session.lastActivityAt,
+        questionCount: session.questions.length,
+        answeredCount: session.questions.filter(q => q.answeredAt).length,
+        remainingSeconds: remainingSeconds(session, now)
+      })));
+  } catch (error) {
+    console.error('Error fetching in-progress test sessions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Fetch the questions of a session the student has started
+app.get('/student/test-sessions/:sessionId', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const session = await TestSession.findOne({
+      _id: req.params.sessionId,
+      studentId: req.user.userId
+    }).lean();
+
+    if (!session) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const questionsById = await loadSessionQuestions(session);
+
+    res.json({
+      ...toStudentSession(session, questionsById),
+      testId: session.testHistoryId
+    });
+  } catch (error) {
+    console.error('Error fetching test session:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Autosave the student's progress: answers so far, elapsed time, the current
+// question and the questions marked for review
+app.put('/student/test-sessions/:sessionId/progress', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { answers, currentQuestionIndex, reviewMarked, optionChanges } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const session = await TestSession.findOne({
+      _id: req.params.sessionId,
+      studentId: req.user.userId,
+      status: 'in_progress'
+    });
+
+    if (!session) {
+      return res.status(409).json({ message: 'Test session not found or already submitted' });
+    }
+
+    const now = new Date();
+    if (isPastDeadline(session, now)) {
+      const expired = await submitExpiredSession({ _id: session._id });
+      return res.status(403).json({
+        message: 'The time allowed for this test is over. Your saved answers were submitted.',
+        testId: expired ? expired.testResult._id : undefined
+      });
+    }
+
+    await trackClientIdentity(session, req);
+
+    if (answers !== undefined) {
+      if (!Array.isArray(answers)) {
+        return res.status(400).json({ message: 'Answers must be an array' });
+      }
+      if (session.testMode === 'adaptive' && answers.length > 0) {
+        return res.status(400).json({ message: 'Adaptive sessions record answers one question at a time' });
+      }
+
+      const questionsById = new Map(session.questions.map(q => [q.questionId.toString(), q]));
+      answers.forEach(answer => {
+        const id = answer.questionId || answer.id || answer._id;
+        const sessionQuestion = id && questionsById.get(id.toString());
+        if (!sessionQuestion) return;
+
+        const selected = parseSelectedOption(answer.selectedOption);
+        sessionQuestion.selectedOption = selected === null ? undefined : selected;
+        sessionQuestion.answeredAt = selected === null ? undefined : now;
+      });
+    }
+
+    // Time is measured on the server: the open question is charged up to now,
+    // then the question the student moved to becomes the open one
+    const nextIndex = Number(currentQuestionIndex);
+    const moved = currentQuestionIndex !== undefined && currentQuestionIndex !== null &&
+      Number.isInteger(nextIndex) && nextIndex >= 0 && nextIndex < session.questions.length;
+    trackQuestionTime(session, now, moved ? nextIndex : session.currentQuestionIndex);
+
+    if (Array.isArray(reviewMarked)) {
+      session.reviewMarked = reviewMarked.map(Number).filter(Number.isInteger);
+    }
+    if (Number(optionChanges) >= 0) {
+      session.optionChanges = Number(optionChanges);
+    }
+
+    session.lastActivityAt = now;
+    await session.save();
+
+    res.json({
+      message: 'Progress saved',
+      savedAt: now,
+      remainingSeconds: remainingSeconds(session, now)
+    });
+  } catch (error) {
+    console.error('Error saving test session progress:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Resume an interrupted session with its original question order, the autosaved
+// answers and the time remaining
+app.get('/student/test-sessions/:sessionId/resume', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const session = await TestSession.findOne({
+      _id: req.params.sessionId,
+      studentId: req.user.userId
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const now = new Date();
+    if (session.status === 'in_progress' && isPastDeadline(session, now)) {
+      const expired = await submitExpiredSession({ _id: session._id });
+      return res.status(410).json({
+        message: 'The time allowed for this test is over. Your saved answers were submitted.',
+        testId: expired ? expired.testResult._id : undefined
+      });
+    }
+
+    if (session.status !== 'in_progress') {
+      return res.status(410).json({
+        message: 'This test session has already finished',
+        status: session.status,
+        testId: session.testHistoryId
+      });
+    }
+
+    await trackClientIdentity(session, req);
+
+    // Time away from the test is not charged to the open question
+    trackQuestionTime(session, session.lastActivityAt);
+    session.currentQuestionSince = now;
+    session.lastActivityAt = now;
+    await session.save();
+
+    const questionsById = await loadSessionQuestions(session);
+    res.json(toResumeState(session, questionsById, now));
+  } catch (error) {
+    console.error('Error resuming test session:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Answer the current question of an adaptive practice session. Updates the ability
+// estimate and serves the next question at the difficulty that best fits it.
+app.post('/student/test-sessions/:sessionId/answer', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { questionId, selectedOption } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const session = await TestSession.findOne({
+      _id: req.params.sessionId,
+      studentId: req.user.userId,
+      status: 'in_progress'
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Test session not found or already submitted' });
+    }
+
+    if (session.testMode !== 'adaptive') {
+      return res.status(400).json({ message: 'Only adaptive sessions take answers one question at a time' });
+    }
+
+    const now = new Date();
+    if (isPastDeadline(session, now)) {
+      return res.status(403).json({ message: 'The time allowed for this test is over' });
+    }
+
+    await trackClientIdentity(session, req);
+
+    const current = session.questions[session.questions.length - 1];
+    if (!current || current.questionId.toString() !== String(questionId)) {
+      return res.status(400).json({ message: 'Only the current question can be answered' });
+    }
+
+    if (current.answeredAt) {
+      return res.status(409).json({ message: 'This question has already been answered' });
+    }
+
+    const question = await Question.findById(current.questionId).lean();
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const selected = parseSelectedOption(selectedOption);
+    const isCorrect = selected !== null && selected === question.correctOption;
+
+    trackQuestionTime(session, now);
+    current.selectedOption = selected;
+    current.answeredAt = now;
+
+    // Skipped questions leave the ability estimate unchanged
+    if (selected !== null) {
+      session.adaptive.ability = updateAbility(session.adaptive.ability || 0, {
+        isCorrect,
+        difficulty: question.difficulty,
+        timeSpent: current.timeSpent,
+        allocatedTime: question.timeAllocation
+      });
+    }
+
+    let nextQuestion = null;
+    if (session.questions.length < session.adaptive.questionCount) {
+      nextQuestion = await pickAdaptiveQuestion(
+        session.subject,
+        session.topicNumber,
+        session.adaptive.ability,
+        session.questions.map(q => q.questionId)
+      );
+      if (nextQuestion) {
+        session.questions.push({ questionId: nextQuestion._id });
+        trackQuestionTime(session, now, session.questions.length - 1);
+      }
+    }
+
+    session.lastActivityAt = now;
+
+    await session.save();
+
+    res.json({
+      isCorrect,
+      ability: session.adaptive.ability,
+      answered: session.questions.filter(q => q.answeredAt).length,
+      questionCount: session.adaptive.questionCount,
+      nextQuestion: nextQuestion ? toStudentQuestion(nextQuestion) : null
+    });
+  } catch (error) {
+    console.error('Error recording adaptive answer:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Submit answers for a session; the server grades them and saves the result
+app.post('/student/test-sessions/:sessionId/submit', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const result = await submitTestSession(req, req.params.sessionId);
+
+    if (!result) {
+      return res.status(409).json({ message: 'Test session not found or already submitted' });
+    }
+
+    if (result.error) {
+      return res.status(403).json({ message: result.error, testId: result.testResult._id });
+    }
+
+    res.status(201).json({
+      message: 'Test result saved successfully',
+      testId: result.testResult._id,
+      score: result.graded.score,
+      marks: result.graded.marks,
+      markingScheme: result.graded.markingScheme,
+      passedLevel: result.testResult.passedLevel,
+      promotion: result.promotion,
+      performanceMetrics: result.graded.performanceMetrics,
+      results: result.graded.questions
+    });
+  } catch (error) {
+    console.error('Error submitting test session:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Student endpoint to get topic-based test questions. Starts a test session and
+// returns its questions without answer keys.
+app.get('/student/test', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const result = await startTestSession(req.user.userId, req.query, clientInfo(req));
+
+    if (result.error) {
+      return res.status(400).json({ message: result.error, details: result.details });
+    }
+
+    res.json(toStudentSession(result.session, result.questionsById));
+  } catch (error) {
+    console.error('Error fetching test questions:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Process test completion and save results. Scores sent by the client are ignored:
+// the answers are graded against the session started by GET /student/test.
+app.post('/student/complete-test', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    console.log('======= TEST COMPLETION =======');
+    console.log('Student ID:', req.user.userId);
+    console.log('Session ID:', sessionId);
+
+    if (!sessionId) {
+      return res.status(400).json({ message: 'Missing required field: sessionId' });
+    }
+
+    const result = await submitTestSession(req, sessionId, 'Question');
+
+    if (!result) {
+      return res.status(409).json({ message: 'Test session not found or already submitted' });
+    }
+
+    if (result.error) {
+      return res.status(403).json({ message: result.error, testId: result.testResult._id });
+    }
+
+    console.log('Score:', result.graded.score);
+    console.log('======= TEST COMPLETION FINISHED =======\n\n');
+
+    res.status(201).json({
+      message: 'Test result saved successfully',
+      testId: result.testResult._id,
+      score: result.graded.score,
+      marks: result.graded.marks,
+      passedLevel: result.testResult.passedLevel,
+      promotion: result.promotion,
+      results: result.graded.questions
+    });
+  } catch (error) {
+    console.error('Error in test completion endpoint:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+});
+
+// =====================================================
+// CUSTOM PRACTICE TEST ROUTES
+// =====================================================
+
+const CUSTOM_QUESTION_FILTERS = ['all', 'unseen', 'wrong'];
+const MAX_CUSTOM_QUESTIONS = 180;
+
+// Read a list sent as an array or a comma separated string
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(item => String(item).trim()).filter(Boolean))];
+}
+
+// Check and normalise the options of a student-built practice test.
+// Returns the build options, or { error } when they are invalid.
+async function parseCustomBuild(params) {
+  const validSubjects = await subjectKeys();
+  const subjects = parseList(params.subjects || params.subject).map(s => s.toLowerCase());
+  if (subjects.length === 0) {
+    return { error: 'At least one subject is required' };
+  }
+  const invalidSubjects = subjects.filter(s => !validSubjects.includes(s));
+  if (invalidSubjects.length > 0) {
+    return { error: `Invalid subjects: ${invalidSubjects.join(', ')}. Must be one of: ${validSubjects.join(', ')}` };
+  }
+
+  const questionCount = params.questionCount === undefined && params.count === undefined ?
+    20 : parseInt(params.questionCount ?? params.count);
+  if (!Number.isInteger(questionCount) || questionCount < 1 || questionCount > MAX_CUSTOM_QUESTIONS) {
+    return { error: `Question count must be between 1 and ${MAX_CUSTOM_QUESTIONS}` };
+  }
+
+  // The difficulty mix is optional; without one questions of any difficulty are drawn
+  let difficultyMix;
+  const mix = params.difficultyMix;
+  if (mix && DIFFICULTIES.some(d => mix[d] !== undefined && mix[d] !== '')) {
+    difficultyMix = {};
+    DIFFICULTIES.forEach(d => {
+      difficultyMix[d] = Number(mix[d]) || 0;
+    });
+    if (DIFFICULTIES.some(d => difficultyMix[d] < 0)) {
+      return { error: 'Difficulty mix percentages cannot be negative' };
+    }
+    const mixTotal = DIFFICULTIES.reduce((sum, d) => sum + difficultyMix[d], 0);
+    if (mixTotal !== 100) {
+      return { error: `Difficulty mix must add up to 100% (got ${mixTotal}%)` };
+    }
+  }
+
+  const questionFilter = params.questionFilter || 'all';
+  if (!CUSTOM_QUESTION_FILTERS.includes(questionFilter)) {
+    return { error: `Question filter must be one of: ${CUSTOM_QUESTION_FILTERS.join(', ')}` };
+  }
+
+  const timed = params.timed === true || params.timed === 'true';
+  let durationMinutes;
+  if (timed && params.durationMinutes !== undefined && params.durationMinutes !== '') {
+    durationMinutes = Number(params.durationMinutes);
+    if (!(durationMinutes > 0)) {
+      return { error: 'Duration must be a positive number of minutes' };
+    }
+  }
+
+  return {
+    subjects,
+    topics: parseList(params.topics),
+    difficultyMix,
+    questionCount,
+    timed,
+    durationMinutes,
+    questionFilter
+  };
+}
+
+// Ids of the questions a student has seen in completed tests, or only those
+// they answered wrongly
+async function findAttemptedQuestionIds(studentId, onlyWrong) {
+  const questionMatch = { 'questions.questionId': { $ne: null } };
+  if (onlyWrong) {
+    questionMatch['questions.isCorrect'] = false;
+    questionMatch['questions.selectedOption'] = { $nin: ['', null] };
+  }
+
+  const attempted = await TestHistory.aggregate([
+    { $match: { studentId: new mongoose.Types.ObjectId(studentId) } },
+    { $unwind: '$questions' },
+    { $match: questionMatch },
+    { $group: { _id: '$questions.questionId' } }
+  ]);
+
+  return attempted.map(q => q._id);
+}
+
+// Draw the questions for a student-built practice test. Returns { error, details }
+// when the question bank has too few matching questions.
+async function drawCustomQuestions(build, studentId) {
+  const query = { subject: { $in: build.subjects } };
+  if (build.topics.length > 0) {
+    query.topicNumber = { $in: build.topics };
+  }
+
+  if (build.questionFilter === 'unseen') {
+    query._id = { $nin: await findAttemptedQuestionIds(studentId, false) };
+  } else if (build.questionFilter === 'wrong') {
+    query._id = { $in: await findAttemptedQuestionIds(studentId, true) };
+  }
+
+  const questions = [];
+  const shortages = [];
+
+  if (build.difficultyMix) {
+    const targets = splitByDifficultyMix(build.questionCount, build.difficultyMix);
+    for (const difficulty of DIFFICULTIES) {
+      const drawn = await sampleQuestions(Question, { ...query, difficulty }, targets[difficulty], []);
+      if (drawn.length < targets[difficulty]) {
+        shortages.push({ constraint: 'difficulty', difficulty, required: targets[difficulty], available: drawn.length });
+      }
+      questions.push(...drawn);
+    }
+  } else {
+    questions.push(...await sampleQuestions(Question, query, build.questionCount, []));
+    if (questions.length < build.questionCount) {
+      shortages.push({ constraint: 'count', required: build.questionCount, available: questions.length });
+    }
+  }
+
+  if (shortages.length > 0) {
+    return { error: 'Not enough matching questions for this test', details: shortages };
+  }
+
+  // Timed tests without a set duration get the questions' own time allocations
+  let durationMinutes;
+  if (build.timed) {
+    durationMinutes = build.durationMinutes ||
+      Math.ceil(questions.reduce((sum, q) => sum + (q.timeAllocation || 60), 0) / 60);
+  }
+
+  return { questions: questions.sort(() => 0.5 - Math.random()), session: { durationMinutes } };
+}
+
+// List the student's previous custom practice tests with the options they were built from
+app.get('/student/custom-tests', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const tests = await TestHistory.find({ studentId: req.user.userId, testMode: 'custom' })
+      .select('subject score date totalTime customBuild')
+      .sort({ date: -1 })
+      .lean();
+
+    res.json(tests.map(test => ({
+      testId: test._id,
+      subject: test.subject,
+      score: test.score,
+      date: test.date,
+      totalTime: test.totalTime,
+      customBuild: test.customBuild
+    })));
+  } catch (error) {
+    console.error('Error fetching custom tests:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Start a new session with the same options as a previous custom practice test.
+// Questions are drawn again, so "unseen" and "wrong" filters reflect the latest history.
+app.post('/student/custom-tests/:testId/rerun', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.testId)) {
+      return res.status(404).json({ message: 'Custom test not found' });
+    }
+
+    const test = await TestHistory.findOne({
+      _id: req.params.testId,
+      studentId: req.user.userId,
+      testMode: 'custom'
+    }).lean();
+
+    if (!test || !test.customBuild) {
+      return res.status(404).json({ message: 'Custom test not found' });
+    }
+
+    const started = await startTestSession(req.user.userId, { ...test.customBuild, mode: 'custom' }, clientInfo(req));
+    if (started.error) {
+      return res.status(400).json({ message: started.error, details: started.details });
+    }
+
+    res.status(201).json(toStudentSession(started.session, started.questionsById));
+  } catch (error) {
+    console.error('Error re-running custom test:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// SCHEDULED EXAM ROUTES
+// =====================================================
+
+// Import Scheduled Exam model
+const ScheduledExam = require('./models/ScheduledExam');
+
+const EXAM_FIELDS = ['title', 'description', 'questionIds', 'blueprintId', 'startsAt', 'endsAt',
+  'durationMinutes', 'institutions', 'studentIds', 'allowedAttempts'];
+
+// Check exam fields that the schema cannot express and work out the exam's subject.
+// Returns an error message, or null after setting exam.subject.
+async function validateScheduledExam(exam) {
+  if (!(new Date(exam.endsAt) > new Date(exam.startsAt))) {
+    return 'The exam must end after it starts';
+  }
+
+  const questionIds = exam.questionIds || [];
+  if (Boolean(exam.blueprintId) === (questionIds.length > 0)) {
+    return 'An exam needs either a fixed set of questionIds or a blueprintId, but not both';
+  }
+
+  if (exam.blueprintId) {
+    const blueprint = mongoose.Types.ObjectId.isValid(exam.blueprintId) ?
+      await TestBlueprint.findById(exam.blueprintId).lean() : null;
+    if (!blueprint) {
+      return 'Blueprint not found';
+    }
+    exam.subject = blueprint.subject;
+  } else {
+    if (questionIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return 'Invalid question id';
+    }
+    const questions = await Question.find({ _id: { $in: questionIds } }).select('subject').lean();
+    if (questions.length !== new Set(questionIds.map(String)).size) {
+      return 'Some questions in the set do not exist';
+    }
+    const subjects = [...new Set(questions.map(q => q.subject))];
+    exam.subject = subjects.length === 1 ? subjects[0] : 'mixed';
+  }
+
+  const studentIds = exam.studentIds || [];
+  if (studentIds.length > 0) {
+    if (studentIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return 'Invalid student id';
+    }
+    const found = await Student.countDocuments({ _id: { $in: studentIds } });
+    if (found !== new Set(studentIds.map(String)).size) {
+      return 'Some students in the list do not exist';
+    }
+  }
+
+  return null;
+}
+
+// Whether a student is one of the exam's targets
+function isExamTargetedAt(exam, student) {
+  const institutions = exam.institutions || [];
+  const studentIds = exam.studentIds || [];
+  if (institutions.length === 0 && studentIds.length === 0) return true;
+  if (!student) return false;
+  return institutions.includes(student.institution) ||
+    studentIds.some(id => id.toString() === student._id.toString());
+}
+
+// Exams a student can see on their schedule: targeted at them and not yet closed
+async function findExamsForStudent(student, now) {
+  const targets = [{ institutions: { $size: 0 }, studentIds: { $size: 0 } }];
+  if (student) {
+    targets.push({ institutions: student.institution }, { studentIds: student._id });
+  }
+  return ScheduledExam.find({ endsAt: { $gt: now }, $or: targets }).sort({ startsAt: 1 }).lean();
+}
+
+// Session selection for one attempt at a scheduled exam. Fixed sets keep the
+// order the admin chose; blueprint exams draw a fresh set for every attempt.
+async function buildExamSelection(exam, attemptNumber, now) {
+  let draw;
+  if (exam.blueprintId) {
+    const blueprint = await TestBlueprint.findById(exam.blueprintId).lean();
+    if (!blueprint) {
+      return { error: 'The blueprint for this exam no longer exists' };
+    }
+    draw = () => drawBlueprintQuestions(blueprint);
+  } else {
+    draw = async () => {
+      const questions = await Question.find({ _id: { $in: exam.questionIds } }).lean();
+      const order = exam.questionIds.map(id => id.toString());
+      return { questions: questions.sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString())) };
+    };
+  }
+
+  // The attempt ends when its time runs out or the exam window closes, whichever is first
+  const expiresAt = new Date(Math.min(now.getTime() + exam.durationMinutes * 60000, new Date(exam.endsAt).getTime()));
+
+  return {
+    draw,
+    session: {
+      subject: exam.subject,
+      testMode: 'exam',
+      scheduledExamId: exam._id,
+      attemptNumber,
+      blueprintId: exam.blueprintId,
+      durationMinutes: exam.durationMinutes,
+      expiresAt
+    }
+  };
+}
+
+// Get all scheduled exams (Admin only)
+app.get('/admin/exams', authenticateToken, requirePermission('exams:manage'), async (req, res) => {
+  try {
+    const exams = await ScheduledExam.find().sort({ startsAt: -1 }).lean();
+
+    const attempts = await TestSession.aggregate([
+      { $match: { scheduledExamId: { $in: exams.map(exam => exam._id) } } },
+      { $group: { _id: '$scheduledExamId', attempts: { $sum: 1 }, students: { $addToSet: '$studentId' } } }
+    ]);
+    const attemptsByExam = new Map(attempts.map(a => [a._id.toString(), a]));
+
+    res.json(exams.map(exam => {
+      const examAttempts = attemptsByExam.get(exam._id.toString());
+      return {
+        ...exam,
+        attempts: examAttempts ? examAttempts.attempts : 0,
+        students: examAttempts ? examAttempts.students.length : 0
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching scheduled exams:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Create a scheduled exam (Admin only)
+app.post('/admin/exams', authenticateToken, requirePermission('exams:manage'), async (req, res) => {
+  try {
+    const examData = {};
+    EXAM_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) examData[field] = req.body[field];
+    });
+
+    if (!examData.title || !examData.startsAt || !examData.endsAt || !examData.durationMinutes) {
+      return res.status(400).json({ message: 'Title, start time, end time and duration are required' });
+    }
+
+    const validationError = await validateScheduledExam(examData);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const exam = new ScheduledExam(examData);
+    await exam.save();
+
+    res.status(201).json({ message: 'Exam scheduled successfully', exam });
+  } catch (error) {
+    console.error('Error creating scheduled exam:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update a scheduled exam (Admin only)
+app.put('/admin/exams/:id', authenticateToken, requirePermission('exams:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    const exam = await ScheduledExam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    const examData = exam.toObject();
+    EXAM_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) examData[field] = req.body[field];
+    });
+
+    const validationError = await validateScheduledExam(examData);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    EXAM_FIELDS.concat('subject').forEach(field => exam.set(field, examData[field]));
+    await exam.save();
+
+    res.json({ message: 'Exam updated successfully', exam });
+  } catch (error) {
+    console.error('Error updating scheduled exam:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Delete a scheduled exam (Admin only). Exams that have been attempted are kept
+// so their results stay linked to them.
+app.delete('/admin/exams/:id', authenticateToken, requirePermission('exams:manage'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    const attempts = await TestSession.countDocuments({ scheduledExamId: req.params.id });
+    if (attempts > 0) {
+      return res.status(409).json({ message: `This exam has ${attempts} attempts and cannot be deleted` });
+    }
+
+    const exam = await ScheduledExam.findByIdAndDelete(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    res.json({ message: 'Exam deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting scheduled exam:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the student's exam schedule: exams that are open now or coming up
+app.get('/student/exams', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const now = new Date();
+    const student = await findStudentForUser(req.user);
+    const exams = await findExamsForStudent(student, now);
+
+    const sessions = await TestSession.find({
+      studentId: req.user.userId,
+      scheduledExamId: { $in: exams.map(exam => exam._id) }
+    }).select('scheduledExamId status expiresAt testHistoryId').lean();
+
+    res.json(exams.map(exam => {
+      const examSessions = sessions.filter(s => s.scheduledExamId.toString() === exam._id.toString());
+      const inProgress = examSessions.find(s => s.status === 'in_progress' && s.expiresAt > now);
+
+      let status = 'upcoming';
+      if (inProgress) {
+        status = 'in_progress';
+      } else if (examSessions.length >= exam.allowedAttempts) {
+        status = 'completed';
+      } else if (exam.startsAt <= now) {
+        status = 'open';
+      }
+
+      return {
+        examId: exam._id,
+        title: exam.title,
+        description: exam.description,
+        subject: exam.subject,
+        startsAt: exam.startsAt,
+        endsAt: exam.endsAt,
+        durationMinutes: exam.durationMinutes,
+        allowedAttempts: exam.allowedAttempts,
+        attemptsUsed: examSessions.length,
+        status,
+        sessionId: inProgress ? inProgress._id : undefined
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching exam schedule:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Start an attempt at a scheduled exam, or return the attempt already in progress.
+// Submissions go through /student/test-sessions/:sessionId/submit, which rejects
+// them once the attempt's time is over.
+app.post('/student/exams/:examId/start', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.examId)) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    const exam = await ScheduledExam.findById(req.params.examId).lean();
+    const student = await findStudentForUser(req.user);
+    if (!exam || !isExamTargetedAt(exam, student)) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    const now = new Date();
+    if (now < exam.startsAt) {
+      return res.status(403).json({ message: 'This exam has not opened yet', startsAt: exam.startsAt });
+    }
+    if (now >= exam.endsAt) {
+      return res.status(403).json({ message: 'This exam has closed', endsAt: exam.endsAt });
+    }
+
+    const inProgress = await TestSession.findOne({
+      studentId: req.user.userId,
+      scheduledExamId: exam._id,
+      status: 'in_progress',
+      expiresAt: { $gt: now }
+    });
+    if (inProgress) {
+      const questionsById = await loadSessionQuestions(inProgress);
+      return res.json(toResumeState(inProgress, questionsById, now));
+    }
+
+    const attemptsUsed = await TestSession.countDocuments({ studentId: req.user.userId, scheduledExamId: exam._id });
+    if (attemptsUsed >= exam.allowedAttempts) {
+      return res.status(403).json({ message: 'You have used all attempts for this exam', allowedAttempts: exam.allowedAttempts });
+    }
+
+    const selection = await buildExamSelection(exam, attemptsUsed + 1, now);
+    if (selection.error) {
+      return res.status(400).json({ message: selection.error });
+    }
+
+    const started = await createTestSession(req.user.userId, selection, clientInfo(req));
+    if (started.error) {
+      return res.status(400).json({ message: started.error, details: started.details });
+    }
+
+    res.status(201).json(toStudentSession(started.session, started.questionsById));
+  } catch (error) {
+    // Another request started the same attempt at the same moment
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An attempt at this exam was just started' });
+    }
+    console.error('Error starting exam:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// PROCTORING ROUTES
+// =====================================================
+
+// Import proctoring models
+const ProctoringEvent = require('./models/ProctoringEvent');
+const ProctoringPolicy = require('./models/ProctoringPolicy');
+
+const PROCTORING_EVENT_TYPES = ProctoringEvent.schema.path('type').enumValues;
+// IP and user agent changes are only ever detected by the server
+const CLIENT_EVENT_TYPES = PROCTORING_EVENT_TYPES.filter(type => !['ip_change', 'user_agent_change'].includes(type));
+const MAX_EVENTS_PER_REQUEST = 100;
+
+// The IP and user agent a request comes from
+function clientInfo(req) {
+  return { ip: req.ip, userAgent: req.headers['user-agent'] || '' };
+}
+
+// Thresholds for a test mode: its own policy, else the default policy, else the schema defaults
+async function loadProctoringThresholds(testMode) {
+  const policies = await ProctoringPolicy.find({ testMode: { $in: [testMode, 'default'] } }).lean();
+  const policy = policies.find(p => p.testMode === testMode) || policies.find(p => p.testMode === 'default');
+  return policy ? policy.thresholds : new ProctoringPolicy({ testMode: 'default' }).toObject().thresholds;
+}
+
+// Store integrity events for a session, update its event counts and flag it when a
+// count reaches the policy threshold. Flags are only ever raised here, so changing a
+// policy affects events recorded afterwards.
+async function recordIntegrityEvents(session, events) {
+  if (events.length === 0) return;
+
+  await ProctoringEvent.insertMany(events.map(event => ({
+    ...event,
+    sessionId: session._id,
+    studentId: session.studentId
+  })));
+
+  const increments = {};
+  events.forEach(({ type }) => {
+    increments[`integrity.eventCounts.${type}`] = (increments[`integrity.eventCounts.${type}`] || 0) + 1;
+  });
+
+  const updated = await TestSession.findByIdAndUpdate(session._id, { $inc: increments }, { new: true }).lean();
+  const counts = updated.integrity.eventCounts || {};
+  const thresholds = await loadProctoringThresholds(updated.testMode);
+
+  const flagReasons = PROCTORING_EVENT_TYPES
+    .filter(type => thresholds[type] > 0 && (counts[type] || 0) >= thresholds[type])
+    .map(type => `${type}: ${counts[type]} events (threshold ${thresholds[type]})`);
+
+  if (flagReasons.length > 0) {
+    const update = { 'integrity.flagged': true, 'integrity.flagReasons': flagReasons };
+    if (!updated.integrity.flagged) {
+      update['integrity.flaggedAt'] = new Date();
+      console.log(`Test session ${session._id} flagged for review: ${flagReasons.join(', ')}`);
+    }
+    await TestSession.updateOne({ _id: session._id }, { $set: update });
+  }
+}
+
+// Compare the client of a request with the one the session was started from and
+// record an event for each change. Sessions without a known client adopt this one.
+async function trackClientIdentity(session, req) {
+  const client = clientInfo(req);
+  const integrity = session.integrity || {};
+
+  if (!integrity.ip && !integrity.userAgent) {
+    await TestSession.updateOne({ _id: session._id }, { $set: { 'integrity.ip': client.ip, 'integrity.userAgent': client.userAgent } });
+    return;
+  }
+
+  const now = new Date();
+  const events = [];
+  if (client.ip !== integrity.ip) {
+    events.push({ type: 'ip_change', source: 'server', occurredAt: now, details: { from: integrity.ip, to: client.ip }, ...client });
+  }
+  if (client.userAgent !== integrity.userAgent) {
+    events.push({ type: 'user_agent_change', source: 'server', occurredAt: now, details: { from: integrity.userAgent, to: client.userAgent }, ...client });
+  }
+
+  if (events.length === 0) return;
+
+  await TestSession.updateOne({ _id: session._id }, { $set: { 'integrity.ip': client.ip, 'integrity.userAgent': client.userAgent } });
+  await recordIntegrityEvents(session, events);
+}
+
+// Report integrity events seen by the browser during a session: tab visibility
+// changes, fullscreen exits, copy/paste and window blur
+app.post('/student/test-sessions/:sessionId/events', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { events } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ message: 'Events must be a non-empty array' });
+    }
+    if (events.length > MAX_EVENTS_PER_REQUEST) {
+      return res.status(400).json({ message: `At most ${MAX_EVENTS_PER_REQUEST} events can be sent at once` });
+    }
+
+    const invalidTypes = [...new Set(events.map(e => e && e.type).filter(type => !CLIENT_EVENT_TYPES.includes(type)))];
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ message: `Invalid event types: ${invalidTypes.join(', ')}. Must be one of: ${CLIENT_EVENT_TYPES.join(', ')}` });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const session = await TestSession.findOne({
+      _id: req.params.sessionId,
+      studentId: req.user.userId,
+      status: 'in_progress'
+    }).lean();
+
+    if (!session) {
+      return res.status(409).json({ message: 'Test session not found or already submitted' });
+    }
+
+    await trackClientIdentity(session, req);
+
+    // Browser clocks are not trusted beyond keeping events inside the session
+    const now = new Date();
+    const client = clientInfo(req);
+    await recordIntegrityEvents(session, events.map(event => {
+      const reported = new Date(event.occurredAt);
+      const occurredAt = isNaN(reported) || reported > now || reported < session.startedAt ? now : reported;
+      const details = event.details && typeof event.details === 'object' &&
+        JSON.stringify(event.details).length <= 1000 ? event.details : undefined;
+      return { type: event.type, source: 'client', occurredAt, details, ...client };
+    }));
+
+    res.status(201).json({ message: 'Events recorded', recorded: events.length });
+  } catch (error) {
+    console.error('Error recording proctoring events:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the proctoring thresholds for every test mode (Admin only)
+app.get('/admin/proctoring/policies', authenticateToken, requirePermission('exams:manage'), async (req, res) => {
+  try {
+    const policies = await ProctoringPolicy.find().lean();
+    const testModes = ProctoringPolicy.schema.path('testMode').enumValues;
+
+    res.json(await Promise.all(testModes.map(async testMode => {
+      const policy = policies.find(p => p.testMode === testMode);
+      return {
+        testMode,
+        // Modes without their own policy fall back to the default one
+        inherited: !policy,
+        thresholds: policy ? policy.thresholds : await loadProctoringThresholds(testMode)
+      };
+    })));
+  } catch (error) {
+    console.error('Error fetching proctoring policies:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Set the proctoring thresholds for a test mode, or 'default' for all others (Admin only)
+app.put('/admin/proctoring/policies/:testMode', authenticateToken, requirePermission('exams:manage'), async (req, res) => {
+  try {
+    const { testMode } = req.params;
+    const { thresholds } = req.body;
+
+    const testModes = ProctoringPolicy.schema.path('testMode').enumValues;
+    if (!testModes.includes(testMode)) {
+      return res.status(400).json({ message: 'Invalid test mode. Must be one of: ' + testModes.join(', ') });
+    }
+
+    if (!thresholds || typeof thresholds !== 'object') {
+      return res.status(400).json({ message: 'Thresholds are required' });
+    }
+
+    const update = { updatedAt: new Date() };
+    PROCTORING_EVENT_TYPES.forEach(type => {
+      if (thresholds[type] !== undefined) update[`thresholds.${type}`] = thresholds[type];
+    });
+
+    const policy = await ProctoringPolicy.findOneAndUpdate(
+      { testMode },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ message: 'Proctoring policy saved successfully', policy });
+  } catch (error) {
+    console.error('Error saving proctoring policy:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List attempts flagged for review, newest first (Staff, within their scope).
+// Pass pending=true to only see flags nobody has reviewed yet.
+app.get('/admin/proctoring/flagged', authenticateToken, requirePermission('results:read'), async (req, res) => {
+  try {
+    const { testMode, pending } = req.query;
+
+    const filter = { 'integrity.flagged': true };
+    if (testMode) filter.testMode = testMode;
+    if (pending === 'true') filter['integrity.reviewOutcome'] = null;
+
+    const ownerIds = await scopedResultOwnerIds(req.user);
+    if (ownerIds) filter.studentId = { $in: ownerIds };
+
+    const sessions = await TestSession.find(filter)
+      .select('studentId subject testMode status startedAt submittedAt testHistoryId scheduledExamId integrity')
+      .populate('testHistoryId', 'score')
+      .sort({ 'integrity.flaggedAt': -1 })
+      .lean();
+
+    // Look up who took each attempt
+    const users = await User.find({ _id: { $in: sessions.map(s => s.studentId) } })
+      .select('username student')
+      .populate('student', 'name institution')
+      .lean();
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    res.json(sessions.map(session => {
+      const user = usersById.get(session.studentId.toString());
+      const username = user ? user.username : undefined;
+      const student = user ? user.student : undefined;
+      return {
+        sessionId: session._id,
+        testId: session.testHistoryId ? session.testHistoryId._id : undefined,
+        score: session.testHistoryId ? session.testHistoryId.score : undefined,
+        student: {
+          username,
+          name: student ? student.name : undefined,
+          institution: student ? student.institution : undefined
+        },
+        subject: session.subject,
+        testMode: session.testMode,
+        scheduledExamId: session.scheduledExamId,
+        status: session.status,
+        startedAt: session.startedAt,
+        submittedAt: session.submittedAt,
+        eventCounts: session.integrity.eventCounts,
+        flagReasons: session.integrity.flagReasons,
+        flaggedAt: session.integrity.flaggedAt,
+        reviewOutcome: session.integrity.reviewOutcome,
+        reviewedAt: session.integrity.reviewedAt
+      };
+    }));
+  } catch (error) {
+    console.error('Error fetching flagged attempts:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the integrity event timeline of an attempt (Staff, within their scope)
+app.get('/admin/proctoring/sessions/:sessionId', authenticateToken, requirePermission('results:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const session = await TestSession.findById(req.params.sessionId)
+      .select('studentId subject testMode status startedAt submittedAt expiresAt testHistoryId integrity')
+      .lean();
+
+    if (!session || !(await isResultInScope(req.user, session.studentId))) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const user = await User.findById(session.studentId).select('username').lean();
+    const events = await ProctoringEvent.find({ sessionId: session._id })
+      .select('-sessionId -studentId -__v')
+      .sort({ occurredAt: 1 })
+      .lean();
+
+    res.json({
+      session: { ...session, username: user ? user.username : undefined },
+      events
+    });
+  } catch (error) {
+    console.error('Error fetching proctoring timeline:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Record the outcome of reviewing a flagged attempt (Staff, within their scope)
+app.put('/admin/proctoring/sessions/:sessionId/review', authenticateToken, requirePermission('results:review'), async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    if (!['cleared', 'confirmed'].includes(outcome)) {
+      return res.status(400).json({ message: 'Outcome must be either cleared or confirmed' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.sessionId)) {
+      return res.status(404).json({ message: 'Test session not found' });
+    }
+
+    const filter = { _id: req.params.sessionId, 'integrity.flagged': true };
+    const ownerIds = await scopedResultOwnerIds(req.user);
+    if (ownerIds) filter.studentId = { $in: ownerIds };
+
+    const session = await TestSession.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          'integrity.reviewOutcome': outcome,
+          'integrity.reviewNote': note || '',
+          'integrity.reviewedAt': new Date()
+        }
+      },
+      { new: true }
+    ).select('integrity').lean();
+
+    if (!session) {
+      return res.status(404).json({ message: 'Flagged attempt not found' });
+    }
+
+    res.json({ message: 'Review saved successfully', integrity: session.integrity });
+  } catch (error) {
+    console.error('Error saving proctoring review:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// LEVEL PROGRESSION ROUTES
+// =====================================================
+
+// Import progression models
+const ProgressionRule = require('./models/ProgressionRule');
+const LevelPromotion = require('./models/LevelPromotion');
+
+// The rule for a subject: its own, else the default rule, else the schema defaults
+async function loadProgressionRule(subject) {
+  const rules = await ProgressionRule.find({ subject: { $in: [subject, 'default'] } }).lean();
+  const rule = rules.find(r => r.subject === subject) || rules.find(r => r.subject === 'default');
+  return rule || new ProgressionRule({ subject: 'default' }).toObject();
+}
+
+// The level after `stage`/`level` under a rule, or null at the top of the last stage
+function nextLevel(rule, stage, level) {
+  if (level < rule.levelsPerStage) {
+    return { stage, level: level + 1 };
+  }
+  if (rule.maxStage && stage >= rule.maxStage) {
+    return null;
+  }
+  return { stage: stage + 1, level: 1 };
+}
+
+// When a student may next be promoted in a subject, or null if they may be now
+async function nextPromotionAllowedAt(studentId, subject, rule) {
+  if (!rule.cooldownMinutes) return null;
+
+  const last = await LevelPromotion.findOne({ studentId, subject }).sort({ promotedAt: -1 }).lean();
+  if (!last) return null;
+
+  const allowedAt = new Date(last.promotedAt.getTime() + rule.cooldownMinutes * 60000);
+  return allowedAt > new Date() ? allowedAt : null;
+}
+
+// Advance a student one level after a graded attempt when the subject's rule allows it.
+// This is the only place student levels change. Returns null when the attempt does not
+// count towards progression, otherwise { promoted, stage, level } with `to` on promotion
+// or `reason` when the student stays where they are.
+async function applyProgression(user, session, testResult) {
+  const subject = session.subject;
+  if (!(await progressionSubjects()).includes(subject)) return null;
+
+  const rule = await loadProgressionRule(subject);
+  if (!rule.countedModes.includes(session.testMode)) return null;
+
+  const student = await findStudentForUser(user);
+  if (!student) return null;
+
+  const current = (student.subjects && student.subjects[subject]) || {};
+  const stage = parseInt(current.stage) || 1;
+  const level = parseInt(current.level) || 1;
+
+  // Remember which level the attempt was taken at
+  await TestHistory.updateOne({ _id: testResult._id }, { $set: { stage: String(stage), level: String(level) } });
+
+  const passed = rule.passScore !== undefined && rule.passScore !== null ?
+    testResult.score >= rule.passScore : testResult.passedLevel;
+  if (!passed) {
+    return { promoted: false, reason: 'not_passed', stage, level };
+  }
+
+  const allowedAt = await nextPromotionAllowedAt(student._id, subject, rule);
+  if (allowedAt) {
+    return { promoted: false, reason: 'cooldown', stage, level, nextPromotionAt: allowedAt };
+  }
+
+  const next = nextLevel(rule, stage, level);
+  if (!next) {
+    return { promoted: false, reason: 'max_level', stage, level };
+  }
+
+  // Only move on from the level read above, so attempts graded at the same time
+  // cannot both promote. Missing values count as level and stage 1.
+  const storedValue = value => (value === undefined || value === '1' ? { $in: ['1', null] } : value);
+  const result = await Student.updateOne(
+    {
+      _id: student._id,
+      [`subjects.${subject}.stage`]: storedValue(current.stage),
+      [`subjects.${subject}.level`]: storedValue(current.level)
+    },
+    {
+      $set: {
+        [`subjects.${subject}.stage`]: String(next.stage),
+        [`subjects.${subject}.level`]: String(next.level)
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { promoted: false, reason: 'level_changed', stage, level };
+  }
+
+  await LevelPromotion.create({
+    studentId: student._id,
+    subject,
+    fromStage: stage,
+    fromLevel: level,
+    toStage: next.stage,
+    toLevel: next.level,
+    testHistoryId: testResult._id,
+    testMode: session.testMode,
+    score: testResult.score
+  });
+
+  console.log(`Promoted ${student.username} in ${subject} from stage ${stage} level ${level} to stage ${next.stage} level ${next.level}`);
+  return { promoted: true, stage, level, to: next };
+}
+
+// Get the progression rules for every subject (Admin only)
+app.get('/admin/progression-rules', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const rules = await Promise.all(['default', ...await progressionSubjects()].map(async subject => {
+      const rule = await loadProgressionRule(subject);
+      return { ...rule, subject, inherited: rule.subject !== subject };
+    }));
+    res.json(rules);
+  } catch (error) {
+    console.error('Error fetching progression rules:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Set the progression rule for a subject, or 'default' for all others (Admin only)
+app.put('/admin/progression-rules/:subject', authenticateToken, requirePermission('curriculum:manage'), async (req, res) => {
+  try {
+    const subject = req.params.subject.toLowerCase();
+    const validSubjects = ['default', ...await progressionSubjects()];
+    if (!validSubjects.includes(subject)) {
+      return res.status(400).json({ message: 'Invalid subject. Must be one of: ' + validSubjects.join(', ') });
+    }
+
+    const update = { updatedAt: new Date() };
+    const unset = {};
+    ['levelsPerStage', 'maxStage', 'passScore', 'cooldownMinutes', 'countedModes'].forEach(field => {
+      if (req.body[field] === null || req.body[field] === '') {
+        unset[field] = '';
+      } else if (req.body[field] !== undefined) {
+        update[field] = req.body[field];
+      }
+    });
+
+    const rule = await ProgressionRule.findOneAndUpdate(
+      { subject },
+      { $set: update, $unset: unset },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ message: 'Progression rule saved successfully', rule });
+  } catch (error) {
+    console.error('Error saving progression rule:', error);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get a student's promotion history (Staff, within their scope)
+app.get('/admin/students/:id/promotions', authenticateToken, requirePermission('results:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !(await isStudentInScope(req.user, req.params.id))) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const filter = { studentId: req.params.id };
+    if (req.query.subject) filter.subject = req.query.subject.toLowerCase();
+
+    const promotions = await LevelPromotion.find(filter).sort({ promotedAt: -1 }).lean();
+    res.json(promotions);
+  } catch (error) {
+    console.error('Error fetching promotion history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the student's current level in each subject, the rule that applies and
+// when they can next be promoted
+app.get('/student/progression', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const student = await findStudentForUser(req.user);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const progression = await Promise.all((await progressionSubjects()).map(async subject => {
+      const rule = await loadProgressionRule(subject);
+      const current = (student.subjects && student.subjects[subject]) || {};
+      const stage = parseInt(current.stage) || 1;
+      const level = parseInt(current.level) || 1;
+
+      return {
+        subject,
+        stage,
+        level,
+        levelsPerStage: rule.levelsPerStage,
+        maxStage: rule.maxStage,
+        passScore: rule.passScore,
+        countedModes: rule.countedModes,
+        atMaxLevel: nextLevel(rule, stage, level) === null,
+        nextPromotionAt: await nextPromotionAllowedAt(student._id, subject, rule)
+      };
+    }));
+
+    res.json(progression);
+  } catch (error) {
+    console.error('Error fetching progression:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Get the student's promotion history, newest first
+app.get('/student/progression/history', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const student = await findStudentForUser(req.user);
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const filter = { studentId: student._id };
+    if (req.query.subject) filter.subject = req.query.subject.toLowerCase();
+
+    const promotions = await LevelPromotion.find(filter).sort({ promotedAt: -1 }).lean();
+    res.json(promotions);
+  } catch (error) {
+    console.error('Error fetching promotion history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// REVIEW QUEUE ROUTES
+// =====================================================
+
+// Import Review Card model
+const ReviewCard = require('./models/ReviewCard');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards due by this time are due today
+function endOfToday() {
+  const end = new Date();
+  end.setHours(23, 59, 59, 999);
+  return end;
+}
+
+// Put every wrongly answered question of a graded attempt on the student's review
+// queue, due now. Questions already on the queue start their schedule again.
+async function scheduleMissedQuestions(studentId, session, gradedQuestions, testId) {
+  const missed = gradedQuestions.filter(q => !q.isCorrect && q.selectedOption !== '');
+  if (missed.length === 0) return;
+
+  const questionModel = session.questionModel || 'Question';
+
+  // Mock exams mix subjects, so read each question's own subject
+  let subjectsById = new Map();
+  if (questionModel === 'Question') {
+    const docs = await Question.find({ _id: { $in: missed.map(q => q.questionId) } }).select('subject').lean();
+    subjectsById = new Map(docs.map(q => [q._id.toString(), q.subject]));
+  }
+
+  const now = new Date();
+  await ReviewCard.bulkWrite(missed.map(q => ({
+    updateOne: {
+      filter: { studentId, questionId: q.questionId },
+      update: {
+        $set: {
+          questionModel,
+          subject: subjectsById.get(q.questionId.toString()) || session.subject,
+          topicNumber: q.topicNumber,
+          repetitions: 0,
+          interval: 0,
+          dueDate: now,
+          lastMissedAt: now,
+          sourceTestId: testId
+        },
+        $inc: { missedCount: 1 },
+        $setOnInsert: { easeFactor: 2.5, createdAt: now }
+      },
+      upsert: true
+    }
+  })));
+
+  console.log(`Scheduled ${missed.length} missed questions for review`);
+}
+
+// Turn a review answer into an SM-2 quality from 0 to 5. Correct answers score
+// higher the faster they came; skipping counts as a blackout.
+function reviewQuality(isCorrect, skipped, timeSpent, allocatedTime) {
+  if (skipped) return 0;
+  if (!isCorrect) return 1;
+  if (timeSpent && allocatedTime && timeSpent > allocatedTime) return 3;
+  if (timeSpent && allocatedTime && timeSpent > allocatedTime / 2) return 4;
+  return 5;
+}
+
+// Apply the SM-2 algorithm to a card for a review of the given quality
+function applySm2(card, quality, now) {
+  if (quality < 3) {
+    card.repetitions = 0;
+    card.interval = 1;
+    card.missedCount += 1;
+    card.lastMissedAt = now;
+  } else {
+    if (card.repetitions === 0) {
+      card.interval = 1;
+    } else if (card.repetitions === 1) {
+      card.interval = 6;
+    } else {
+      card.interval = Math.round(card.interval * card.easeFactor);
+    }
+    card.repetitions += 1;
+  }
+
+  card.easeFactor = Math.max(1.3, card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  card.lastReviewedAt = now;
+  card.dueDate = new Date(now.getTime() + card.interval * DAY_MS);
+}
+
+// Get the review cards due today, with their questions (without answers)
+app.get('/student/review/due', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { subject, limit } = req.query;
+
+    const filter = { studentId: req.user.userId, dueDate: { $lte: endOfToday() } };
+    if (subject) filter.subject = subject.toLowerCase();
+
+    const cards = await ReviewCard.find(filter)
+      .sort({ dueDate: 1 })
+      .limit(parseInt(limit) || 50)
+      .lean();
+
+    const questionsById = await loadQuestionsByModel(cards);
+
+    const dueCount = await ReviewCard.countDocuments(filter);
+
+    res.json({
+      dueCount,
+      cards: cards
+        .filter(card => questionsById.has(card.questionId.toString()))
+        .map(card => ({
+          cardId: card._id,
+          subject: card.subject,
+          topicNumber: card.topicNumber,
+          dueDate: card.dueDate,
+          repetitions: card.repetitions,
+          missedCount: card.missedCount,
+          question: toStudentQuestion(questionsById.get(card.questionId.toString()))
+        }))
+    });
+  } catch (error) {
+    console.error('Error fetching due review cards:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Answer a review card that is due. The answer is graded on the server and the
+// card's next review date is moved with SM-2. Cards whose question is part of one
+// of the student's unfinished tests cannot be answered until that test is over.
+app.post('/student/review/:cardId/grade', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { selectedOption, timeSpent } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.cardId)) {
+      return res.status(404).json({ message: 'Review card not found' });
+    }
+
+    const card = await ReviewCard.findOne({ _id: req.params.cardId, studentId: req.user.userId });
+    if (!card) {
+      return res.status(404).json({ message: 'Review card not found' });
+    }
+    if (card.dueDate > endOfToday()) {
+      return res.status(409).json({ message: 'This card is not due for review yet', nextReview: card.dueDate });
+    }
+
+    const inOpenTest = await TestSession.exists({
+      studentId: req.user.userId,
+      status: 'in_progress',
+      'questions.questionId': card.questionId
+    });
+    if (inOpenTest) {
+      return res.status(409).json({ message: 'This question is part of a test you have not finished yet' });
+    }
+
+    const question = await mongoose.model(card.questionModel).findById(card.questionId).lean();
+    if (!question) {
+      await card.deleteOne();
+      return res.status(404).json({ message: 'The question for this card no longer exists' });
+    }
+
+    const selected = parseSelectedOption(selectedOption);
+    const isCorrect = selected !== null && selected === question.correctOption;
+    const quality = reviewQuality(isCorrect, selected === null, Number(timeSpent) || 0, question.timeAllocation);
+
+    applySm2(card, quality, new Date());
+    await card.save();
+
+    res.json({
+      isCorrect,
+      correctOption: question.correctOption,
+      explanation: question.explanation || 'No explanation available',
+      quality,
+      interval: card.interval,
+      easeFactor: card.easeFactor,
+      nextReview: card.dueDate
+    });
+  } catch (error) {
+    console.error('Error grading review card:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// =====================================================
+// BOOKMARK AND MISTAKE NOTEBOOK ROUTES
+// =====================================================
+
+// Import Bookmark model
+const Bookmark = require('./models/Bookmark');
+
+const QUESTION_MODELS = ['Question', 'GrammarQuestion', 'AptitudeQuestion'];
+
+// Which question bank the questions of a test history record come from
+function questionModelForSubject(subject) {
+  if (subject === 'grammar') return 'GrammarQuestion';
+  if (subject === 'aptitude') return 'AptitudeQuestion';
+  return 'Question';
+}
+
+// Subject a question is filed under; grammar and aptitude questions have none of their own
+function subjectOfQuestion(questionModel, question) {
+  if (questionModel === 'GrammarQuestion') return 'grammar';
+  if (questionModel === 'AptitudeQuestion') return 'aptitude';
+  return question.subject;
+}
+
+// Clean up a list of tags sent as an array or a comma separated string
+function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Load questions of several question banks, keyed by id
+async function loadQuestionsByModel(entries) {
+  const questionsById = new Map();
+  for (const questionModel of [...new Set(entries.map(entry => entry.questionModel))]) {
+    const ids = entries.filter(entry => entry.questionModel === questionModel).map(entry => entry.questionId);
+    const docs = await mongoose.model(questionModel).find({ _id: { $in: ids } }).lean();
+    docs.forEach(q => questionsById.set(q._id.toString(), q));
+  }
+  return questionsById;
+}
+
+function toBookmarkResponse(bookmark, question, revealAnswer) {
+  const response = {
+    bookmarkId: bookmark._id,
+    questionModel: bookmark.questionModel,
+    subject: bookmark.subject,
+    topicNumber: bookmark.topicNumber,
+    note: bookmark.note,
+    tags: bookmark.tags,
+    createdAt: bookmark.createdAt,
+    updatedAt: bookmark.updatedAt,
+    question: question ? toStudentQuestion(question) : null
+  };
+
+  // Answers are only shown once the student has finished a test with the question,
+  // so bookmarking during a test cannot be used to look them up
+  if (question && revealAnswer) {
+    response.question.correctOption = question.correctOption;
+    response.question.explanation = question.explanation || 'No explanation available';
+  }
+
+  return response;
+}
+
+// Ids of the given questions that appear in the student's completed tests
+async function completedQuestionIds(studentId, questionIds) {
+  const ids = await TestHistory.distinct('questions.questionId', {
+    studentId,
+    'questions.questionId': { $in: questionIds }
+  });
+  return new Set(ids.map(id => id.toString()));
+}
+
+// Bookmark a question, or update the note and tags of an existing bookmark
+app.post('/student/bookmarks', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { questionId, note, tags, sessionId } = req.body;
+    const questionModel = req.body.questionModel || 'Question';
+
+    if (!QUESTION_MODELS.includes(questionModel)) {
+      return res.status(400).json({ message: `questionModel must be one of: ${QUESTION_MODELS.join(', ')}` });
+    }
+
+    if (!questionId || !mongoose.Types.ObjectId.isValid(questionId)) {
+      return res.status(400).json({ message: 'A valid questionId is required' });
+    }
+
+    const question = await mongoose.model(questionModel).findById(questionId).lean();
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const update = {
+      questionModel,
+      subject: subjectOfQuestion(questionModel, question),
+      topicNumber: question.topicNumber || question.topic,
+      updatedAt: new Date()
     };
-    
-    try {
-      // Find previous attempts for this subject/topic
-      let query = { studentId, subject };
-      if (mode === 'practice' && topicNumber) {
-        query.topicNumber = topicNumber;
-      } else if (mode === 'assessment' && topics && topics.length > 0) {
-        // More complex query for assessment tests
-        query.testMode = 'assessment';
-      }
-      
-      const previousAttempts = await TestHistory.find(query)
-        .sort({ date: -1 })
-        .limit(5);
-      
-      if (previousAttempts && previousAttempts.length > 0) {
-        // Find previous best score
-        const previousBestScore = Math.max(...previousAttempts.map(a => a.score || 0));
-        
-        // Find previous average time
-        const previousAverageTime = previousAttempts.length > 0 ? 
-          previousAttempts.reduce((sum, a) => sum + (a.totalTime || 0), 0) / previousAttempts.length : 0;
-        
-        improvement = {
-          previousBestScore,
-          scoreImprovement: score - previousBestScore,
-          timeImprovement: previousAverageTime - totalTime
-        };
-      }
-    } catch (improvementError) {
-      console.error('Error calculating improvement metrics:', improvementError);
-      // Continue without improvement data
+    if (note !== undefined) update.note = String(note);
+    if (tags !== undefined) update.tags = parseTags(tags);
+    if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) update.sessionId = sessionId;
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { studentId: req.user.userId, questionId },
+      { $set: update, $setOnInsert: { createdAt: new Date() } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    const completed = await completedQuestionIds(req.user.userId, [bookmark.questionId]);
+    res.status(201).json(toBookmarkResponse(bookmark, question, completed.has(questionId.toString())));
+  } catch (error) {
+    console.error('Error saving bookmark:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
     }
-    
-    let testResult;
-    
-    // Create test history entry based on mode
-    if (mode === 'practice' || mode === 'assessment') {
-      testResult = new TestHistory({
-        studentId,
-        subject,
-        score,
-        questions: processedQuestions,
-        totalTime: totalTime || 0,
-        passedLevel: passedLevel || score >= 70,
-        date: new Date(),
-        // Topic-specific data
-        testMode: mode,
-        topicNumber: mode === 'practice' ? topicNumber : undefined,
-        topics: mode === 'assessment' ? topics : undefined,
-        // Enhanced analytics fields
-        deviceInfo,
-        timingDetails: {
-          startTime: req.body.startTime ? new Date(req.body.startTime) : new Date(Date.now() - (totalTime * 60 * 1000)),
-          endTime: new Date(),
-          pauseDuration: req.body.pauseDuration || 0,
-          questionTransitionTimes: req.body.questionTransitionTimes || []
-        },
-        performanceMetrics: {
-          correctAnswers,
-          incorrectAnswers,
-          unanswered,
-          topicWisePerformance,
-          averageTimePerQuestion
-        },
-        userActions: {
-          optionChanges: req.body.optionChanges || 0,
-          reviewMarked: req.body.reviewMarked || []
-        },
-        isCompleted: true,
-        improvement
-      });
-    } else {
-      // Legacy stage-level test
-      testResult = new TestHistory({
-        studentId,
-        subject,
-        stage,
-        level,
-        score,
-        questions: processedQuestions,
-        totalTime: totalTime || 0,
-        passedLevel: passedLevel || score >= 70,
-        date: new Date(),
-        testMode: 'practice', // Default mode for backward compatibility
-        deviceInfo,
-        performanceMetrics: {
-          correctAnswers,
-          incorrectAnswers, 
-          unanswered,
-          averageTimePerQuestion
-        },
-        isCompleted: true
-      });
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// List the student's bookmarks, optionally filtered by subject, topic or tag
+app.get('/student/bookmarks', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { subject, topicNumber, tag } = req.query;
+
+    const filter = { studentId: req.user.userId };
+    if (subject) filter.subject = subject.toLowerCase();
+    if (topicNumber) filter.topicNumber = topicNumber;
+    if (tag) filter.tags = tag.toLowerCase();
+
+    const bookmarks = await Bookmark.find(filter).sort({ updatedAt: -1 }).lean();
+    const questionsById = await loadQuestionsByModel(bookmarks);
+    const completed = await completedQuestionIds(req.user.userId, bookmarks.map(b => b.questionId));
+
+    res.json(bookmarks.map(bookmark => {
+      const id = bookmark.questionId.toString();
+      return toBookmarkResponse(bookmark, questionsById.get(id), completed.has(id));
+    }));
+  } catch (error) {
+    console.error('Error fetching bookmarks:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Update the note or tags of a bookmark
+app.put('/student/bookmarks/:id', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { note, tags } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Bookmark not found' });
     }
-    
-    // Save the test result
-    await testResult.save();
-    console.log('Test history saved successfully with ID:', testResult._id);
-    
-    // For practice tests, update topic progress
-    if (mode === 'practice' && topicNumber) {
-      try {
-        // Find student to update topic progress
-        const student = await Student.findOne({ studentId });
-        
-        if (student) {
-          // Initialize topic progress if needed
-          if (!student.topicProgress) {
-            student.topicProgress = {};
-          }
-          if (!student.topicProgress[subject]) {
-            student.topicProgress[subject] = {};
-          }
-          
-          // Get current topic data or initialize
-          const currentTopicData = student.topicProgress[subject][topicNumber] || {
-            progress: 0,
-            completed: false,
-            attemptsCount: 0
-          };
-          
-          // Update topic progress
-          student.topicProgress[subject][topicNumber] = {
-            progress: Math.max(currentTopicData.progress, score || 0),
-            completed: score >= 70 || currentTopicData.completed,
-            attemptsCount: (currentTopicData.attemptsCount || 0) + 1,
-            lastAttemptDate: new Date()
-          };
-          
-          await student.save();
-          console.log(`Updated topic progress for ${subject} topic ${topicNumber} to ${score}%`);
-        }
-      } catch (progressError) {
-        console.error('Error updating topic progress:', progressError);
-        // Continue execution even if progress update fails
+
+    const update = { updatedAt: new Date() };
+    if (note !== undefined) update.note = String(note);
+    if (tags !== undefined) update.tags = parseTags(tags);
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { _id: req.params.id, studentId: req.user.userId },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!bookmark) {
+      return res.status(404).json({ message: 'Bookmark not found' });
+    }
+
+    const question = await mongoose.model(bookmark.questionModel).findById(bookmark.questionId).lean();
+    const completed = await completedQuestionIds(req.user.userId, [bookmark.questionId]);
+    res.json(toBookmarkResponse(bookmark, question, completed.has(bookmark.questionId.toString())));
+  } catch (error) {
+    console.error('Error updating bookmark:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Remove a bookmark
+app.delete('/student/bookmarks/:id', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Bookmark not found' });
+    }
+
+    const bookmark = await Bookmark.findOneAndDelete({ _id: req.params.id, studentId: req.user.userId });
+    if (!bookmark) {
+      return res.status(404).json({ message: 'Bookmark not found' });
+    }
+
+    res.json({ message: 'Bookmark removed successfully' });
+  } catch (error) {
+    console.error('Error removing bookmark:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Mistake notebook: every question the student answered wrongly in completed tests,
+// most recent first. Filter by subject, topicNumber and a from/to date range.
+app.get('/student/mistake-notebook', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { subject, topicNumber, from, to } = req.query;
+
+    const match = { studentId: new mongoose.Types.ObjectId(req.user.userId) };
+    if (from || to) {
+      match.date = {};
+      if (from) match.date.$gte = new Date(from);
+      if (to) match.date.$lte = new Date(to);
+      if ((from && isNaN(match.date.$gte)) || (to && isNaN(match.date.$lte))) {
+        return res.status(400).json({ message: 'from and to must be valid dates' });
       }
     }
-    
-    console.log('======= TEST COMPLETION FINISHED =======\n\n');
-    
-    res.status(201).json({ 
-      message: 'Test result saved successfully',
-      testId: testResult._id,
-      results: questions
+
+    const questionMatch = {
+      'questions.isCorrect': false,
+      'questions.selectedOption': { $nin: ['', null] },
+      'questions.questionId': { $ne: null }
+    };
+    if (topicNumber) questionMatch['questions.topicNumber'] = topicNumber;
+
+    // One entry per question, keeping the latest wrong answer
+    const missed = await TestHistory.aggregate([
+      { $match: match },
+      { $unwind: '$questions' },
+      { $match: questionMatch },
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: '$questions.questionId',
+          testSubject: { $first: '$subject' },
+          testId: { $first: '$_id' },
+          lastMissedAt: { $first: '$date' },
+          selectedOption: { $first: '$questions.selectedOption' },
+          topicNumber: { $first: '$questions.topicNumber' },
+          timesMissed: { $sum: 1 }
+        }
+      },
+      { $sort: { lastMissedAt: -1 } }
+    ]);
+
+    const entries = missed.map(entry => ({
+      ...entry,
+      questionId: entry._id,
+      questionModel: questionModelForSubject(entry.testSubject)
+    }));
+    const questionsById = await loadQuestionsByModel(entries);
+
+    const bookmarks = await Bookmark.find({
+      studentId: req.user.userId,
+      questionId: { $in: entries.map(entry => entry.questionId) }
+    }).select('questionId').lean();
+    const bookmarkIds = new Map(bookmarks.map(b => [b.questionId.toString(), b._id]));
+
+    const notebook = [];
+    entries.forEach(entry => {
+      const question = questionsById.get(entry.questionId.toString());
+      // Skip questions that have since been deleted
+      if (!question) return;
+
+      const questionSubject = subjectOfQuestion(entry.questionModel, question);
+      if (subject && questionSubject !== subject.toLowerCase()) return;
+
+      notebook.push({
+        questionId: entry.questionId,
+        questionModel: entry.questionModel,
+        subject: questionSubject,
+        topicNumber: entry.topicNumber,
+        text: question.questionText,
+        options: question.options,
+        imageUrl: question.imageUrl || '',
+        selectedOption: entry.selectedOption,
+        correctOption: String(question.correctOption),
+        explanation: question.explanation || 'No explanation available',
+        timesMissed: entry.timesMissed,
+        lastMissedAt: entry.lastMissedAt,
+        testId: entry.testId,
+        bookmarkId: bookmarkIds.get(entry.questionId.toString()) || null
+      });
     });
-  } catch (error) {
-    console.error('Error in test completion endpoint:', error);
-    res.status(500).json({ 
-      message: 'Server error', 
-      error: error.message,
-      details: error.stack 
+
+    const topicNames = await loadTopicNames(notebook);
+    notebook.forEach(entry => {
+      entry.topicName = topicNames[topicKey(entry.subject, entry.topicNumber)] || null;
     });
+
+    res.json({ count: notebook.length, mistakes: notebook });
+  } catch (error) {
+    console.error('Error fetching mistake notebook:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
@@ -1983,152 +6778,11 @@ function getPlatformInfo(userAgent) {
   return 'Other';
 }
 
-// Store test result in history
-app.post('/student/test-history', authenticateToken, studentOnly, async (req, res) => {
-  try {
-    const { subject, stage, level, score, questions, totalTime, passedLevel } = req.body;
-    const studentId = req.user.userId;
-    
-    console.log('Received test history data:', {
-      subject,
-      stage,
-      level,
-      score,
-      totalTime,
-      passedLevel,
-      studentId,
-      questionCount: questions?.length
-    });
-
-    if (!subject || !stage || !level || !questions || score === undefined || totalTime === undefined) {
-      return res.status(400).json({ 
-        message: 'Missing required fields',
-        details: {
-          subject: !subject,
-          stage: !stage,
-          level: !level,
-          questions: !questions,
-          score: score === undefined,
-          totalTime: totalTime === undefined
-        }
-      });
-    }
-
-    if (!studentId) {
-      return res.status(400).json({ 
-        message: 'Student ID not found in token',
-        error: 'Missing studentId'
-      });
-    }
-
-    // Create new test history entry
-    const testResult = new TestHistory({
-      studentId,
-      subject,
-      stage,
-      level,
-      score,
-      questions: questions.map(q => ({
-        text: q.text,
-        selectedOption: q.selectedOption || '',
-        correctOption: q.correctOption,
-        isCorrect: q.isCorrect,
-        timeSpent: q.timeSpent || 0,
-        allocatedTime: q.allocatedTime || 60,
-        explanation: q.explanation || 'No explanation available'
-      })),
-      totalTime,
-      passedLevel,
-      date: new Date()
-    });
-    
-    console.log('Saving test result with ID:', testResult._id);
-    await testResult.save();
-    console.log('Test result saved successfully');
-
-    // Update student level if they passed
-    if (passedLevel) {
-      try {
-        // Get the student from the database
-        const student = await Student.findOne({ username: req.user.username });
-        console.log('Student data before update:', student?.username, student?.subjects);
-        
-        if (!student) {
-          console.error('Student not found');
-          return;
-        }
-        
-        // Initialize subjects object if needed
-        if (!student.subjects) {
-          student.subjects = {};
-        }
-        
-        // Normalize subject name to lowercase for consistency
-        const subjectKey = subject.toLowerCase();
-        console.log('Processing subject:', subjectKey);
-        
-        // Initialize subject if it doesn't exist
-        if (!student.subjects[subjectKey]) {
-          console.log(`Creating new subject entry for ${subjectKey}`);
-          student.subjects[subjectKey] = { stage: '1', level: '1' };
-        }
-        
-        // DIRECT APPROACH: Simply increment the level by 1 when a test is passed
-        let currentLevel = parseInt(student.subjects[subjectKey].level) || 1;
-        let currentStage = parseInt(student.subjects[subjectKey].stage) || 1;
-        
-        console.log(`Current ${subjectKey} progress - Stage: ${currentStage}, Level: ${currentLevel}`);
-        
-        // Increment level
-        currentLevel += 1;
-        
-        // If level exceeds 4, move to next stage
-        if (currentLevel > 4) {
-          currentLevel = 1;
-          currentStage += 1;
-        }
-        
-        // Update the student record
-        student.subjects[subjectKey].level = currentLevel.toString();
-        student.subjects[subjectKey].stage = currentStage.toString();
-        
-        // Save the updated student record
-        await student.save();
-        
-        console.log(`LEVEL UPDATED: ${subjectKey} - New Stage: ${currentStage}, New Level: ${currentLevel}`);
-      } catch (error) {
-        console.error('Error updating student level:', error);
-      }
-    }
-    
-    // Return the created test history object
-    res.status(201).json({
-      _id: testResult._id,
-      studentId: testResult.studentId,
-      subject: testResult.subject,
-      stage: testResult.stage,
-      level: testResult.level,
-      score: testResult.score,
-      questions: testResult.questions,
-      totalTime: testResult.totalTime,
-      passedLevel: testResult.passedLevel,
-      date: testResult.date
-    });
-  } catch (error) {
-    console.error('Error saving test history:', error);
-    res.status(500).json({ 
-      message: 'Failed to save test results',
-      error: error.message,
-      details: error.stack
-    });
-  }
-});
-
 // Get test history for a student
-app.get('/student/test-history', authenticateToken, studentOnly, async (req, res) => {
+app.get('/student/test-history', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
     const { subject, stage, level } = req.query;
-    const studentId = req.user.id;
+    const studentId = req.user.userId;
     
     // Build query based on provided parameters
     const query = { studentId };
@@ -2140,6 +6794,8 @@ app.get('/student/test-history', authenticateToken, studentOnly, async (req, res
     const testHistory = await TestHistory.find(query)
       .sort({ date: -1 }) // Sort by date descending (newest first)
       .lean();
+    const names = await subjectNames();
+    await addTestTopicNames(testHistory);
     
     // Format for easier frontend consumption
     const formattedHistory = {};
@@ -2155,7 +6811,7 @@ app.get('/student/test-history', authenticateToken, studentOnly, async (req, res
       // Only keep the most recent attempt for each level
       if (!formattedHistory[subjectId][levelKey]) {
         formattedHistory[subjectId][levelKey] = {
-          subjectName: getSubjectName(subjectId),
+          subjectName: names[subjectId] || subjectId,
           stage: test.stage,
           level: test.level,
           date: test.date,
@@ -2177,84 +6833,41 @@ app.get('/student/test-history', authenticateToken, studentOnly, async (req, res
   }
 });
 
-// Save grammar test results
-app.post('/grammar-test-history', authenticateToken, studentOnly, async (req, res) => {
+// Save grammar test results. The answers are graded against the grammar test
+// session started by GET /grammar-questions; client-sent scores are ignored.
+app.post('/grammar-test-history', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
-    const { 
-      module, 
-      topicNumber, 
-      score, 
-      questions, 
-      totalTime, 
-      testMode, 
-      timingDetails, 
-      performanceMetrics 
-    } = req.body;
-    const studentId = req.user.userId;
+    const { sessionId } = req.body;
     
     console.log('Saving grammar test results:', {
-      studentId,
-      module,
-      topicNumber,
-      score,
-      testMode,
-      questionCount: questions?.length
+      studentId: req.user.userId,
+      sessionId,
+      questionCount: (req.body.answers || req.body.questions)?.length
     });
 
-    // Validate required fields
-    if (!module || !questions || score === undefined || totalTime === undefined) {
-      return res.status(400).json({ 
-        message: 'Missing required fields',
-        details: { 
-          module: !!module, 
-          questions: !!questions, 
-          score: score !== undefined, 
-          totalTime: totalTime !== undefined 
-        } 
-      });
+    if (!sessionId) {
+      return res.status(400).json({ message: 'Missing required field: sessionId' });
     }
 
-    // Create new test history entry specifically for grammar tests
-    const grammarTestResult = new TestHistory({
-      studentId,
-      subject: 'grammar', // Use 'grammar' as the subject for grammar tests
-      stage: '1', // Default values for compatibility
-      level: '1',
-      score,
-      questions: questions.map(q => ({
-        text: q.text,
-        selectedOption: q.selectedOption || '',
-        correctOption: q.correctOption,
-        isCorrect: q.isCorrect,
-        timeSpent: q.timeSpent || 0,
-        allocatedTime: q.allocatedTime || 60,
-        explanation: q.explanation || 'No explanation available',
-        topicNumber: q.topicNumber,
-        difficulty: q.difficulty,
-        category: q.category,
-        grammarRule: q.grammarRule,
-        questionId: q.questionId
-      })),
-      totalTime,
-      passedLevel: score >= 70, // 70% passing threshold for grammar tests
-      date: new Date(),
-      // Grammar-specific fields
-      testMode: testMode || 'grammar_practice',
-      topicNumber: topicNumber,
-      timingDetails: timingDetails || {},
-      performanceMetrics: performanceMetrics || {}
-    });
-    
-    console.log('Saving grammar test result with ID:', grammarTestResult._id);
-    await grammarTestResult.save();
-    console.log('Grammar test result saved successfully');
-    
-    // Return the created test history object
+    const result = await submitTestSession(req, sessionId, 'GrammarQuestion');
+
+    if (!result) {
+      return res.status(409).json({ message: 'Grammar test session not found or already submitted' });
+    }
+
+    if (result.error) {
+      return res.status(403).json({ message: result.error, testId: result.testResult._id });
+    }
+
+    const grammarTestResult = result.testResult;
+    console.log('Grammar test result saved successfully with ID:', grammarTestResult._id);
+    
+    // Return the created test history object, now including answers and explanations
     res.status(201).json({
       _id: grammarTestResult._id,
       studentId: grammarTestResult.studentId,
       subject: grammarTestResult.subject,
-      module: module,
+      module: grammarTestResult.module,
       topicNumber: grammarTestResult.topicNumber,
       score: grammarTestResult.score,
       questions: grammarTestResult.questions,
@@ -2264,68 +6877,180 @@ app.post('/grammar-test-history', authenticateToken, studentOnly, async (req, re
       performanceMetrics: grammarTestResult.performanceMetrics
     });
   } catch (error) {
-    console.error('Error saving grammar test history:', error);
-    res.status(500).json({ 
-      message: 'Failed to save grammar test results',
-      error: error.message,
-      details: error.stack
-    });
+    console.error('Error saving grammar test history:', error);
+    res.status(500).json({ 
+      message: 'Failed to save grammar test results',
+      error: error.message,
+      details: error.stack
+    });
+  }
+});
+
+// Save aptitude test results. The answers are graded against the aptitude test
+// session started by GET /aptitude-questions; client-sent scores are ignored.
+app.post('/aptitude-test-history', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+
+    if (!sessionId) {
+      return res.status(400).json({ message: 'Missing required field: sessionId' });
+    }
+
+    const result = await submitTestSession(req, sessionId, 'AptitudeQuestion');
+
+    if (!result) {
+      return res.status(409).json({ message: 'Aptitude test session not found or already submitted' });
+    }
+
+    if (result.error) {
+      return res.status(403).json({ message: result.error, testId: result.testResult._id });
+    }
+
+    const aptitudeTestResult = result.testResult;
+    console.log('Aptitude test result saved successfully with ID:', aptitudeTestResult._id);
+
+    res.status(201).json({
+      _id: aptitudeTestResult._id,
+      studentId: aptitudeTestResult.studentId,
+      subject: aptitudeTestResult.subject,
+      category: aptitudeTestResult.category,
+      grade: aptitudeTestResult.grade,
+      difficulty: aptitudeTestResult.difficulty,
+      topic: aptitudeTestResult.topic,
+      score: aptitudeTestResult.score,
+      marks: aptitudeTestResult.marks,
+      questions: aptitudeTestResult.questions,
+      totalTime: aptitudeTestResult.totalTime,
+      passedLevel: aptitudeTestResult.passedLevel,
+      date: aptitudeTestResult.date,
+      performanceMetrics: aptitudeTestResult.performanceMetrics
+    });
+  } catch (error) {
+    console.error('Error saving aptitude test history:', error);
+    res.status(500).json({ message: 'Failed to save aptitude test results', error: error.message });
+  }
+});
+
+// Get a student's aptitude attempts, newest first. Filter by category, grade,
+// difficulty and topic.
+app.get('/student/aptitude-test-history', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    const { category, grade, difficulty, topic, page = 1, limit = 20 } = req.query;
+
+    const filter = { studentId: req.user.userId, subject: 'aptitude' };
+    if (category) filter.category = category;
+    if (grade) filter.grade = grade;
+    if (difficulty) filter.difficulty = difficulty;
+    if (topic) filter.topic = topic;
+
+    const pageSize = Math.min(parseInt(limit) || 20, 100);
+    const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const [tests, totalCount] = await Promise.all([
+      TestHistory.find(filter)
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .select('-questions')
+        .lean(),
+      TestHistory.countDocuments(filter)
+    ]);
+
+    res.json({
+      totalCount,
+      tests: tests.map(test => ({
+        _id: test._id,
+        category: test.category,
+        grade: test.grade,
+        difficulty: test.difficulty,
+        topic: test.topic,
+        score: test.score,
+        marks: test.marks,
+        passedLevel: test.passedLevel,
+        isCompleted: test.isCompleted,
+        correctAnswers: test.performanceMetrics?.correctAnswers || 0,
+        incorrectAnswers: test.performanceMetrics?.incorrectAnswers || 0,
+        unanswered: test.performanceMetrics?.unanswered || 0,
+        totalTime: test.totalTime,
+        date: test.date
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching aptitude test history:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+});
+
+// Review one of the student's aptitude attempts question by question, with the
+// options, their answer, the correct answer and the explanation
+app.get('/student/aptitude-test-history/:testId', authenticateToken, requirePermission('tests:take'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.testId)) {
+      return res.status(404).json({ message: 'Aptitude test not found' });
+    }
+
+    const test = await TestHistory.findOne({
+      _id: req.params.testId,
+      studentId: req.user.userId,
+      subject: 'aptitude'
+    }).lean();
+
+    if (!test) {
+      return res.status(404).json({ message: 'Aptitude test not found' });
+    }
+
+    const questionIds = test.questions.map(q => q.questionId).filter(Boolean);
+    const questions = await AptitudeQuestion.find({ _id: { $in: questionIds } }).lean();
+    const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+    res.json({
+      ...test,
+      questions: test.questions.map(q => {
+        const question = q.questionId ? questionsById.get(q.questionId.toString()) : null;
+        return {
+          questionId: q.questionId,
+          text: q.text,
+          // Options come from the question bank and are missing if the question was deleted
+          options: question ? question.options : [],
+          imageUrl: question ? question.imageUrl || '' : '',
+          selectedOption: q.selectedOption,
+          correctOption: q.correctOption,
+          isCorrect: q.isCorrect,
+          marks: q.marks,
+          timeSpent: q.timeSpent,
+          allocatedTime: q.allocatedTime || 60,
+          explanation: q.explanation || 'No explanation available',
+          topic: q.topicNumber,
+          difficulty: q.difficulty
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching aptitude test details:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
 
 // Get all test history for a student as a raw array
-app.get('/student/all-test-history', authenticateToken, studentOnly, async (req, res) => {
+app.get('/student/all-test-history', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
-    // Use provided studentId if available, otherwise use the token's ID
-    const studentId = req.query.studentId || req.user.userId || req.user.id;
+    // Results are stored under the student's User account
+    const studentId = req.user.userId;
     const { batchSize = 20, page = 1, includeDetails = false } = req.query;
     
     console.log('Fetching test history for student ID:', studentId);
-    console.log('User info from token:', {
-      userId: req.user.userId,
-      id: req.user.id,
-      username: req.user.username
-    });
     
-    // Check if the student exists in the database with detailed logging
+    // Attach the student's profile to each record, or basic info from the token
+    // when the account has no profile
     let studentInfo = null;
     try {
-      // First try to find by direct ID
-      studentInfo = await Student.findById(studentId).lean();
-      console.log('Student lookup by ID result:', studentInfo ? 'Found' : 'Not found');
-      
-      if (!studentInfo) {
-        // Try to find by studentId field
-        studentInfo = await Student.findOne({ studentId }).lean();
-        console.log('Student lookup by studentId field result:', studentInfo ? 'Found' : 'Not found');
-      }
-      
-      if (!studentInfo) {
-        // Try to find by username if can't find by ID
-        const user = await User.findById(studentId).lean();
-        if (user) {
-          console.log('Found user by ID:', user.username);
-          studentInfo = await Student.findOne({ username: user.username }).lean();
-          console.log('Student lookup by username result:', studentInfo ? 'Found' : 'Not found');
-        }
-      }
-      
-      // If still no student info, create basic info from token
-      if (!studentInfo && req.user) {
-        console.log('Creating basic student info from token');
-        studentInfo = {
-          _id: req.user.userId || req.user.id,
-          name: req.user.username || 'Student',
-          studentId: req.user.userId || req.user.id,
-          username: req.user.username
-        };
-      }
-      
-      if (studentInfo) {
-        console.log(`Using student info: ${studentInfo.name} (ID: ${studentInfo.studentId || studentInfo._id})`);
-      } else {
-        console.log(`No student record found for ID: ${studentId}`);
-      }
+      const student = await findStudentForUser(req.user);
+      studentInfo = student ? student.toObject() : {
+        _id: studentId,
+        name: req.user.username || 'Student',
+        studentId,
+        username: req.user.username
+      };
     } catch (err) {
       console.error('Error finding student:', err);
     }
@@ -2348,6 +7073,7 @@ app.get('/student/all-test-history', authenticateToken, studentOnly, async (req,
     // Execute the query
     const testHistory = await query.lean();
     console.log(`Fetched ${testHistory.length} test history records after pagination`);
+    await addTestTopicNames(testHistory);
     
     // Transform each test for the history table format with enhanced details
     const formattedTests = testHistory.map(test => {
@@ -2415,19 +7141,8 @@ app.get('/student/all-test-history', authenticateToken, studentOnly, async (req,
   }
 });
 
-// Helper function to get subject name
-function getSubjectName(subjectId) {
-  const subjects = {
-    physics: 'Physics',
-    chemistry: 'Chemistry',
-    biology: 'Biology'
-  };
-  
-  return subjects[subjectId] || subjectId;
-}
-
 // Image upload endpoint for questions
-app.post('/admin/upload-image', authenticateToken, adminOnly, upload.single('image'), async (req, res) => {
+app.post('/admin/upload-image', authenticateToken, requirePermission('questions:manage'), upload.single('image'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -2452,10 +7167,11 @@ app.post('/admin/upload-image', authenticateToken, adminOnly, upload.single('ima
 });
 
 // Calculate N.POINTS and update all students
-app.post('/admin/update-points', authenticateToken, adminOnly, async (req, res) => {
+app.post('/admin/update-points', authenticateToken, requirePermission('points:manage'), async (req, res) => {
   try {
     // Get all students
     const students = await Student.find();
+    const subjects = await progressionSubjects();
     let updated = 0;
 
     // Update each student's N.POINTS
@@ -2464,23 +7180,12 @@ app.post('/admin/update-points', authenticateToken, adminOnly, async (req, res)
       
       // Calculate points for each subject (25 points per level)
       if (student.subjects) {
-        // Physics points
-        if (student.subjects.physics) {
-          const level = parseInt(student.subjects.physics.level) || 1;
-          totalPoints += level * 25;
-        }
-        
-        // Chemistry points
-        if (student.subjects.chemistry) {
-          const level = parseInt(student.subjects.chemistry.level) || 1;
-          totalPoints += level * 25;
-        }
-        
-        // Biology points
-        if (student.subjects.biology) {
-          const level = parseInt(student.subjects.biology.level) || 1;
-          totalPoints += level * 25;
-        }
+        subjects.forEach(subject => {
+          if (student.subjects[subject]) {
+            const level = parseInt(student.subjects[subject].level) || 1;
+            totalPoints += level * 25;
+          }
+        });
       }
       
       // Update student's N.POINTS if different from current value
@@ -2503,10 +7208,10 @@ app.post('/admin/update-points', authenticateToken, adminOnly, async (req, res)
 });
 
 // Admin endpoint to get leaderboard data
-app.get('/admin/leaderboard', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/leaderboard', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
-    // Get all students with relevant fields for leaderboard
-    const students = await Student.find({}, {
+    // Get the students in scope with relevant fields for leaderboard
+    const students = await Student.find(await studentScopeFilter(req.user), {
       studentId: 1,
       name: 1,
       nPoints: 1,
@@ -2521,7 +7226,7 @@ app.get('/admin/leaderboard', authenticateToken, adminOnly, async (req, res) =>
 });
 
 // Student endpoint to get leaderboard data
-app.get('/student/leaderboard', authenticateToken, studentOnly, async (req, res) => {
+app.get('/student/leaderboard', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
     // Get all students with relevant fields for leaderboard
     const students = await Student.find({}, {
@@ -2529,25 +7234,12 @@ app.get('/student/leaderboard', authenticateToken, studentOnly, async (req, res)
       name: 1,
       subjects: 1
     });
+    const subjects = await progressionSubjects();
     
     // Process students to calculate N.POINTS
     const studentsWithPoints = students.map(student => {
-      let totalLevelsCleared = 0;
-      
-      if (student.subjects) {
-        const subjects = student.subjects;
-        
-        // Convert level strings to numbers and subtract 1 (since level 1 means 0 levels cleared)
-        const physicsLevel = parseInt(subjects.physics?.level || '1') - 1;
-        const chemistryLevel = parseInt(subjects.chemistry?.level || '1') - 1;
-        const biologyLevel = parseInt(subjects.biology?.level || '1') - 1;
-        
-        // Sum up the levels cleared (ensure they're not negative)
-        totalLevelsCleared = 
-          Math.max(0, physicsLevel) + 
-          Math.max(0, chemistryLevel) + 
-          Math.max(0, biologyLevel);
-      }
+      // Level 1 means no levels cleared yet
+      const totalLevelsCleared = levelsCleared(student.subjects, subjects);
       
       // Calculate N.POINTS (25 points per level cleared)
       const nPoints = totalLevelsCleared * 25;
@@ -2572,28 +7264,15 @@ app.get('/student/leaderboard', authenticateToken, studentOnly, async (req, res)
 });
 
 // Get all students with N.POINTS calculation
-app.get('/admin/students/points', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/students/points', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const students = await Student.find({}, '-password').lean();
+    const students = await Student.find(await studentScopeFilter(req.user), '-password').lean();
+    const subjects = await progressionSubjects();
     
     // Calculate N.POINTS for each student
     const studentsWithPoints = students.map(student => {
-      let totalLevelsCleared = 0;
-      
-      if (student.subjects) {
-        const subjects = student.subjects;
-        
-        // Convert level strings to numbers and subtract 1 (since level 1 means 0 levels cleared)
-        const physicsLevel = parseInt(subjects.physics?.level || '1') - 1;
-        const chemistryLevel = parseInt(subjects.chemistry?.level || '1') - 1;
-        const biologyLevel = parseInt(subjects.biology?.level || '1') - 1;
-        
-        // Sum up the levels cleared (ensure they're not negative)
-        totalLevelsCleared = 
-          Math.max(0, physicsLevel) + 
-          Math.max(0, chemistryLevel) + 
-          Math.max(0, biologyLevel);
-      }
+      // Level 1 means no levels cleared yet
+      const totalLevelsCleared = levelsCleared(student.subjects, subjects);
       
       // Calculate N.POINTS (25 points per level cleared)
       const nPoints = totalLevelsCleared * 25;
@@ -2647,49 +7326,37 @@ app.post('/api/echo', (req, res) => {
   });
 });
 
-// New endpoint for backward compatibility
-app.post('/student/test/submit', authenticateToken, studentOnly, async (req, res) => {
+// New endpoint for backward compatibility. Grades the answers against the test
+// session like /student/complete-test; client-sent scores are ignored.
+app.post('/student/test/submit', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
-    // Forward to the new endpoint
-    const { 
-      subject, 
-      stage, 
-      level, 
-      answers, 
-      score, 
-      timeTaken,
-      passedLevel 
-    } = req.body;
+    const { sessionId } = req.body;
     
-    const studentId = req.user.id;
+    console.log(`Forwarding test submission for session ${sessionId} to server-side grading for user ${req.user.userId}`);
     
-    console.log(`Forwarding test submission to /student/complete-test endpoint for student ${studentId}`);
+    if (!sessionId) {
+      return res.status(400).json({ message: 'Missing required field: sessionId' });
+    }
     
-    // Create test history record
-    const testResult = new TestHistory({
-      studentId,
-      subject,
-      stage,
-      level,
-      score,
-      questions: answers.map(a => ({
-        questionId: a.questionId,
-        selectedOption: a.selectedOption,
-        isCorrect: a.isCorrect || false
-      })),
-      totalTime: Math.round(timeTaken / 60), // Convert seconds to minutes
-      passedLevel: passedLevel || score >= 70, // Default passing threshold is 70%
-      date: new Date()
-    });
-    
-    await testResult.save();
-    console.log('Test history saved successfully with ID:', testResult._id);
+    const result = await submitTestSession(req, sessionId, 'Question');
+    
+    if (!result) {
+      return res.status(409).json({ message: 'Test session not found or already submitted' });
+    }
+
+    if (result.error) {
+      return res.status(403).json({ message: result.error, testId: result.testResult._id });
+    }
+    
+    console.log('Test history saved successfully with ID:', result.testResult._id);
     
     // Return success
     res.status(201).json({ 
       message: 'Test result saved successfully',
-      testId: testResult._id,
-      results: answers
+      testId: result.testResult._id,
+      score: result.graded.score,
+      passedLevel: result.testResult.passedLevel,
+      results: result.graded.questions
     });
   } catch (error) {
     console.error('Error saving test history:', error);
@@ -2698,10 +7365,10 @@ app.post('/student/test/submit', authenticateToken, studentOnly, async (req, res
 });
 
 // Get all unique institutions
-app.get('/admin/institutions', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/institutions', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
     // Find all unique institution values
-    const institutions = await Student.distinct('institution');
+    const institutions = await Student.distinct('institution', await studentScopeFilter(req.user));
     
     res.status(200).json(institutions);
   } catch (error) {
@@ -2711,12 +7378,12 @@ app.get('/admin/institutions', authenticateToken, adminOnly, async (req, res) =>
 });
 
 // Get students by institution
-app.get('/admin/students/institution/:institution', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/students/institution/:institution', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
     const { institution } = req.params;
     
-    // Find all students from a specific institution
-    const students = await Student.find({ institution });
+    // Find the students in scope from a specific institution
+    const students = await Student.find({ $and: [await studentScopeFilter(req.user), { institution }] });
     
     res.status(200).json(students);
   } catch (error) {
@@ -2726,12 +7393,17 @@ app.get('/admin/students/institution/:institution', authenticateToken, adminOnly
 });
 
 // Get test history for a specific test
-app.get('/student/test-history/:testId', authenticateToken, studentOnly, async (req, res) => {
+app.get('/student/test-history/:testId', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
     const testId = req.params.testId;
     console.log('Fetching test history for ID:', testId);
     
-    const testHistory = await TestHistory.findById(testId).lean();
+    if (!mongoose.Types.ObjectId.isValid(testId)) {
+      return res.status(404).json({ message: 'Test history not found' });
+    }
+    
+    // Students can only open their own results
+    const testHistory = await TestHistory.findOne({ _id: testId, studentId: req.user.userId }).lean();
     
     if (!testHistory) {
       console.log('Test history not found for ID:', testId);
@@ -2761,23 +7433,23 @@ app.get('/student/test-history/:testId', authenticateToken, studentOnly, async (
     
     // Add user information if available
     try {
-      if (testHistory.studentId) {
-        const student = await Student.findById(testHistory.studentId).lean();
-        if (student) {
-          testHistory.studentInfo = {
-            name: student.name,
-            studentId: student.studentId,
-            _id: student._id
-          };
-          console.log(`Added student info: ${student.name} (${student.studentId})`);
-        } else {
-          console.log('Student not found for ID:', testHistory.studentId);
-        }
+      const student = await findStudentForUser(req.user);
+      if (student) {
+        testHistory.studentInfo = {
+          name: student.name,
+          studentId: student.studentId,
+          _id: student._id
+        };
+        console.log(`Added student info: ${student.name} (${student.studentId})`);
+      } else {
+        console.log('Student not found for ID:', testHistory.studentId);
       }
     } catch (err) {
       console.error('Error fetching student info:', err);
     }
 
+    await addTestTopicNames([testHistory]);
+
     // Process explanations to ensure they're properly formatted
     const processedQuestions = testHistory.questions.map(q => {
       // Ensure explanation is a valid string
@@ -2794,7 +7466,9 @@ app.get('/student/test-history/:testId', authenticateToken, studentOnly, async (
         isCorrect: q.isCorrect,
         timeSpent: q.timeSpent,
         allocatedTime: q.allocatedTime || 60,
-        explanation: explanation
+        explanation: explanation,
+        topicNumber: q.topicNumber,
+        topicName: q.topicName
       };
     });
     
@@ -2807,345 +7481,33 @@ app.get('/student/test-history/:testId', authenticateToken, studentOnly, async (
   }
 });
 
-// Simple test-completion level update - most direct approach for level updates
-app.post('/student/test-completion-level-update', authenticateToken, studentOnly, async (req, res) => {
-  try {
-    console.log('\n\n======= SIMPLE TEST COMPLETION LEVEL UPDATE =======');
-    console.log('User token data:', req.user);
-    console.log('Request body:', req.body);
-    
-    const { subject, currentLevel, currentStage, testId } = req.body;
-    
-    if (!subject) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Missing subject name' 
-      });
-    }
-    
-    // Get student ID from token
-    const studentId = req.user.userId;
-    const username = req.user.username;
-    
-    if (!studentId) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Student ID not found in token' 
-      });
-    }
-    
-    console.log('Finding student with ID:', studentId, 'Username:', username);
-    
-    // Find student document using multiple methods to ensure success
-    let student = null;
-    
-    // Try methods sequentially until one works
-    
-    // Method 1: Find by ID
-    try {
-      student = await Student.findById(studentId);
-      if (student) {
-        console.log('Found student by ID');
-      }
-    } catch (idError) {
-      console.error('Error finding student by ID:', idError.message);
-    }
-    
-    // Method 2: Find by username
-    if (!student && username) {
-      try {
-        student = await Student.findOne({ username: username });
-        if (student) {
-          console.log('Found student by username');
-        }
-      } catch (usernameError) {
-        console.error('Error finding student by username:', usernameError.message);
-      }
-    }
-    
-    // Method 3: Use direct MongoDB query
-    if (!student) {
-      try {
-        const db = mongoose.connection.db;
-        const studentsCollection = db.collection('students');
-        
-        // Find with any field that might match
-        const queryConditions = [];
-        
-        if (mongoose.Types.ObjectId.isValid(studentId)) {
-          queryConditions.push({ _id: new mongoose.Types.ObjectId(studentId) });
-        }
-        
-        if (username) {
-          queryConditions.push({ username: username });
-        }
-        
-        const rawStudent = await studentsCollection.findOne({ $or: queryConditions });
-        
-        if (rawStudent) {
-          console.log('Found student via direct MongoDB query');
-          student = rawStudent;
-        }
-      } catch (directError) {
-        console.error('Error with direct MongoDB query:', directError.message);
-      }
-    }
-    
-    if (!student) {
-      console.error('Student not found with ID:', studentId, 'or username:', username);
-      return res.status(404).json({ 
-        success: false,
-        message: 'Student not found' 
-      });
-    }
-    
-    console.log('Found student:', student.name || student.username);
-    
-    // Ensure subjects object exists
-    if (!student.subjects) {
-      student.subjects = {};
-    }
-    
-    // Normalize subject name
-    const subjectKey = subject.toLowerCase();
-    const capitalizedKey = subjectKey.charAt(0).toUpperCase() + subjectKey.slice(1);
-    
-    // Get current level info (or initialize if not set)
-    if (!student.subjects[subjectKey]) {
-      student.subjects[subjectKey] = { level: '1', stage: '1' };
-    }
-    
-    // Read the current level from the database (don't trust the client input)
-    const dbLevel = parseInt(student.subjects[subjectKey]?.level || 1);
-    const dbStage = parseInt(student.subjects[subjectKey]?.stage || 1);
-    
-    console.log('Current level in database:', dbLevel);
-    console.log('Current stage in database:', dbStage);
-    
-    // Calculate new level
-    let newLevel = dbLevel + 1;
-    let newStage = dbStage;
-    
-    // If level exceeds 4, move to next stage
-    if (newLevel > 4) {
-      newLevel = 1;
-      newStage += 1;
-    }
-    
-    console.log(`Updating ${subject} from Level ${dbLevel}, Stage ${dbStage} to Level ${newLevel}, Stage ${newStage}`);
-    
-    try {
-      // Use reliable direct MongoDB update to avoid schema validation issues
-      const db = mongoose.connection.db;
-      const result = await db.collection('students').updateOne(
-        { _id: student._id },
-        { 
-          $set: { 
-            [`subjects.${subjectKey}`]: {
-              level: newLevel.toString(),
-              stage: newStage.toString()
-            },
-            [`subjects.${capitalizedKey}`]: {
-              level: newLevel.toString(),
-              stage: newStage.toString()
-            } 
-          } 
-        }
-      );
-      
-      console.log('Direct MongoDB update result:', result.modifiedCount, 'documents modified');
-      
-      if (result.modifiedCount === 0) {
-        // If direct update failed, try mongoose save as fallback
-        if (student.save) {
-          // Update both lowercase and capitalized versions
-          student.subjects[subjectKey] = {
-            level: newLevel.toString(),
-            stage: newStage.toString()
-          };
-          
-          student.subjects[capitalizedKey] = {
-            level: newLevel.toString(),
-            stage: newStage.toString()
-          };
-          
-          await student.save();
-          console.log('Level update successful with mongoose save!');
-        } else {
-          throw new Error('Both direct update and mongoose save failed');
-        }
-      }
-    } catch (updateError) {
-      console.error('Error updating student:', updateError);
-      return res.status(500).json({
-        success: false,
-        message: 'Error updating level',
-        error: updateError.message
-      });
-    }
-    
-    console.log('Level update successful!');
-    console.log('Updated subjects:', JSON.stringify(student.subjects, null, 2));
-    console.log('======= SIMPLE LEVEL UPDATE COMPLETE =======\n\n');
-    
-    res.status(200).json({
-      success: true,
-      message: 'Level updated successfully',
-      subject: subjectKey,
-      oldLevel: dbLevel,
-      oldStage: dbStage,
-      newLevel: newLevel,
-      newStage: newStage
-    });
-    
-  } catch (error) {
-    console.error('Error in simple test completion level update:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error updating level',
-      error: error.message
-    });
-  }
-});
-
-// Direct level update endpoint for students with high scores (90%+)
-app.post('/student/update-level', authenticateToken, studentOnly, async (req, res) => {
-  try {
-    console.log('\n\n======= DIRECT LEVEL UPDATE REQUEST =======');
-    console.log('User:', req.user);
-    console.log('Request body:', req.body);
-    
-    const { subject, newLevel, newStage, testId } = req.body;
-    
-    if (!subject || !newLevel || !newStage) {
-      console.error('Missing required fields:', { subject, newLevel, newStage });
-      return res.status(400).json({
-        message: 'Missing required fields (subject, newLevel, newStage)',
-        received: req.body
-      });
-    }
-    
-    // Find the student using username from the token
-    const username = req.user.username;
-    console.log('Looking for student with username:', username);
-    
-    let student = await Student.findOne({ username: username });
-    if (!student) {
-      console.error('Student not found with username:', username);
-      
-      // Try secondary lookup by ID
-      const studentId = req.user.userId || req.user.id;
-      console.log('Trying to find by ID instead:', studentId);
-      
-      if (!studentId) {
-        console.error('No student ID available in the token');
-        return res.status(404).json({ message: 'Student ID not found in token' });
-      }
-      
-      student = await Student.findById(studentId);
-      if (!student) {
-        console.error('Student also not found by ID');
-        
-        // Emergency fallback - try looking up by email
-        if (req.user.email) {
-          console.log('Trying emergency lookup by email:', req.user.email);
-          student = await Student.findOne({ email: req.user.email });
-          
-          if (!student) {
-            console.error('Student not found by email either');
-            return res.status(404).json({ message: 'Student not found by any identifier' });
-          }
-          console.log('Found student by email');
-        } else {
-          return res.status(404).json({ message: 'Student not found' });
-        }
-      } else {
-        console.log('Student found by ID');
-      }
-    }
-    
-    console.log('Found student:', student.name || student.username);
-    console.log('Current subjects:', JSON.stringify(student.subjects, null, 2));
-    
-    // Normalize subject
-    const normalizedSubject = subject.toLowerCase();
-    console.log('Normalized subject:', normalizedSubject);
-    
-    // Initialize subjects if needed
-    if (!student.subjects) {
-      student.subjects = {};
-    }
-    
-    // Update level and stage
-    // If the subject doesn't exist yet, create it
-    if (!student.subjects[normalizedSubject]) {
-      student.subjects[normalizedSubject] = {
-        level: '1',
-        stage: '1'
-      };
-    }
-    
-    // Update values
-    student.subjects[normalizedSubject] = {
-      level: newLevel,
-      stage: newStage
-    };
-    
-    // Also update capitalized version if it exists
-    const capitalizedSubject = normalizedSubject.charAt(0).toUpperCase() + normalizedSubject.slice(1);
-    student.subjects[capitalizedSubject] = {
-      level: newLevel,
-      stage: newStage
-    };
-    
-    console.log('Updated subjects (before save):', JSON.stringify(student.subjects, null, 2));
-    
-    // Save changes to database
-    await student.save();
-    
-    console.log('Student data saved successfully');
-    console.log('Final subjects after save:', JSON.stringify(student.subjects, null, 2));
-    console.log('======= LEVEL UPDATE COMPLETE =======\n\n');
-    
-    // Return success response
-    res.status(200).json({
-      message: 'Level updated successfully',
-      subject: normalizedSubject,
-      level: newLevel,
-      stage: newStage
-    });
-  } catch (error) {
-    console.error('Error in direct level update:', error);
-    res.status(500).json({
-      message: 'Failed to update level',
-      error: error.message
-    });
-  }
-});
-
 // Student endpoint to get topic progress
-app.get('/student/topic-progress', authenticateToken, studentOnly, async (req, res) => {
+app.get('/student/topic-progress', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
-    // Get student ID from token
-    const studentId = req.user.studentId;
-    
-    // Find the student
-    const student = await Student.findOne({ studentId });
+    const student = await findStudentForUser(req.user);
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
     
     // Get topic progress from student document or initialize if not present
-    let topicProgress = student.topicProgress || {};
+    let topicProgress = student.toJSON().topicProgress || {};
     
     // If no progress yet, initialize with empty objects for each subject
     if (Object.keys(topicProgress).length === 0) {
-      topicProgress = {
-        'physics': {},
-        'chemistry': {},
-        'biology': {}
-      };
+      topicProgress = {};
+      (await subjectKeys()).forEach(key => {
+        topicProgress[key] = {};
+      });
     }
+
+    const entries = [];
+    Object.keys(topicProgress).forEach(subject => {
+      Object.keys(topicProgress[subject]).forEach(topicNumber => entries.push({ subject, topicNumber }));
+    });
+    const topicNames = await loadTopicNames(entries);
+    entries.forEach(({ subject, topicNumber }) => {
+      topicProgress[subject][topicNumber].topicName = topicNames[topicKey(subject, topicNumber)] || null;
+    });
     
     res.json(topicProgress);
   } catch (error) {
@@ -3154,62 +7516,87 @@ app.get('/student/topic-progress', authenticateToken, studentOnly, async (req, r
   }
 });
 
-// Update topic progress after test completion
-app.post('/student/update-topic-progress', authenticateToken, studentOnly, async (req, res) => {
+// Completion (share of entries completed) and mastery (average best score) of a
+// list of progress entries, unattempted ones included
+function summariseProgress(entries) {
+  if (entries.length === 0) {
+    return { completion: 0, mastery: 0 };
+  }
+  const completed = entries.filter(entry => entry.completed).length;
+  const scoreSum = entries.reduce((sum, entry) => sum + (entry.progress || 0), 0);
+  return {
+    completion: Math.round((completed / entries.length) * 100),
+    mastery: Math.round(scoreSum / entries.length)
+  };
+}
+
+function toProgressEntry(recorded) {
+  return {
+    progress: recorded?.progress || 0,
+    completed: !!recorded?.completed,
+    attemptsCount: recorded?.attemptsCount || 0,
+    lastScore: recorded?.lastScore ?? null,
+    lastAttemptDate: recorded?.lastAttemptDate || null
+  };
+}
+
+// Student endpoint to get grammar and aptitude progress with completion and mastery
+app.get('/student/track-progress', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
-    const { subject, topicNumber, progress, completed, duration } = req.body;
-    
-    // Validate required fields
-    if (!subject || !topicNumber) {
-      return res.status(400).json({ message: 'Subject and topic number are required' });
-    }
-    
-    // Get student from token
-    const studentId = req.user.studentId;
-    const student = await Student.findOne({ studentId });
-    
+    const student = await findStudentForUser(req.user);
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
-    
-    // Initialize topicProgress if not present
-    if (!student.topicProgress) {
-      student.topicProgress = {
-        'physics': {},
-        'chemistry': {},
-        'biology': {}
+
+    const { grammarProgress = {}, aptitudeProgress = {} } = student.toJSON();
+
+    // Grammar: every curriculum topic, plus any practised topic no longer in it
+    const curriculum = await loadGrammarCurriculum();
+    const modules = GrammarTopic.schema.path('module').enumValues.map(module => {
+      const recorded = grammarProgress[module] || {};
+      const moduleTopics = curriculum.filter(topic => topic.module === module);
+      const topicNumbers = [...new Set([
+        ...moduleTopics.map(topic => topic.topicNumber),
+        ...Object.keys(recorded)
+      ])];
+
+      const topics = topicNumbers.map(topicNumber => ({
+        topicNumber,
+        title: moduleTopics.find(topic => topic.topicNumber === topicNumber)?.title || null,
+        ...toProgressEntry(recorded[topicNumber])
+      }));
+
+      return { module, ...summariseProgress(topics), topics };
+    });
+
+    // Aptitude: every grade, category and difficulty tier
+    const grades = AptitudeTopic.schema.path('grade').enumValues.map(grade => {
+      const categories = AptitudeTopic.schema.path('category').enumValues.map(category => {
+        const tiers = AptitudeTopic.schema.path('difficulty').enumValues.map(difficulty => ({
+          difficulty,
+          ...toProgressEntry(aptitudeProgress[grade]?.[category]?.[difficulty])
+        }));
+        return { category, ...summariseProgress(tiers), tiers };
+      });
+      return {
+        grade,
+        ...summariseProgress(categories.flatMap(category => category.tiers)),
+        categories
       };
-    }
-    
-    // Initialize subject if not present
-    if (!student.topicProgress[subject]) {
-      student.topicProgress[subject] = {};
-    }
-    
-    // Get current topic data or initialize
-    const currentTopicData = student.topicProgress[subject][topicNumber] || {
-      progress: 0,
-      completed: false,
-      attemptsCount: 0
-    };
-    
-    // Update topic progress
-    student.topicProgress[subject][topicNumber] = {
-      progress: Math.max(currentTopicData.progress, progress || 0),
-      completed: completed || currentTopicData.completed,
-      attemptsCount: (currentTopicData.attemptsCount || 0) + 1,
-      lastAttemptDate: new Date()
-    };
-    
-    // Save student
-    await student.save();
-    
-    res.status(200).json({
-      message: 'Topic progress updated successfully',
-      topicProgress: student.topicProgress[subject][topicNumber]
+    });
+
+    res.json({
+      grammar: {
+        ...summariseProgress(modules.flatMap(module => module.topics)),
+        modules
+      },
+      aptitude: {
+        ...summariseProgress(grades.flatMap(grade => grade.categories.flatMap(category => category.tiers))),
+        grades
+      }
     });
   } catch (error) {
-    console.error('Error updating topic progress:', error);
+    console.error('Error fetching track progress:', error);
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 });
@@ -3225,27 +7612,35 @@ app.listen(PORT, () => {
 }); 
 
 // Admin routes for test history
-app.get('/admin/test-history', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/test-history', authenticateToken, requirePermission('results:read'), async (req, res) => {
   try {
     console.log('Admin requesting test history');
     const { studentId } = req.query;
     let query = {};
+
+    // Staff below platform admin only see the results of students in their scope
+    const ownerIds = await scopedResultOwnerIds(req.user);
+    if (ownerIds) {
+      query.studentId = { $in: ownerIds };
+    }
     
     if (studentId) {
       console.log('Filtering by student ID:', studentId);
-      // If studentId is provided, find the matching student
-      const student = await Student.findOne({ studentId });
+      // If studentId is provided, find the matching student and their account
+      const student = await Student.findOne({ studentId, ...await studentScopeFilter(req.user) });
       if (!student) {
         return res.status(404).json({ message: 'Student not found' });
       }
-      query.studentId = student._id;
+      const account = await User.findOne({ student: student._id }).select('_id').lean();
+      query.studentId = account ? account._id : student._id;
     }
     
     console.log('Fetching test histories with query:', query);
     const testHistories = await TestHistory.find(query)
       .sort({ date: -1 })
-      .populate('studentId', 'name username studentId')
+      .populate(RESULT_STUDENT_POPULATE)
       .lean();
+    await addTestTopicNames(testHistories);
     
     console.log(`Found ${testHistories.length} test history records`);
     
@@ -3262,6 +7657,10 @@ app.get('/admin/test-history', authenticateToken, adminOnly, async (req, res) =>
     
     // Ensure studentId data is present
     const enhancedTestHistories = await Promise.all(testHistories.map(async test => {
+      // Show the student's profile rather than their account
+      if (test.studentId && test.studentId.student) {
+        test.studentId = test.studentId.student;
+      }
       // If studentId exists but is not populated correctly
       if (test.studentId && typeof test.studentId === 'string') {
         console.log(`Test ${test._id} has unpopulated studentId: ${test.studentId}`);
@@ -3283,21 +7682,27 @@ app.get('/admin/test-history', authenticateToken, adminOnly, async (req, res) =>
 });
 
 // Get detailed test history for a specific test
-app.get('/admin/test-history/:testId', authenticateToken, adminOnly, async (req, res) => {
+app.get('/admin/test-history/:testId', authenticateToken, requirePermission('results:read'), async (req, res) => {
   try {
     const { testId } = req.params;
     console.log(`Admin requesting detailed test history for ID: ${testId}`);
     
     const testHistory = await TestHistory.findById(testId)
-      .populate('studentId', 'name username studentId')
+      .populate(RESULT_STUDENT_POPULATE)
       .populate('questions.questionId')
       .lean();
     
-    if (!testHistory) {
+    const ownerId = testHistory && testHistory.studentId && (testHistory.studentId._id || testHistory.studentId);
+    if (!testHistory || !(await isResultInScope(req.user, ownerId))) {
       console.log(`Test history not found for ID: ${testId}`);
       return res.status(404).json({ message: 'Test history not found' });
     }
     
+    // Show the student's profile rather than their account
+    if (testHistory.studentId && testHistory.studentId.student) {
+      testHistory.studentId = testHistory.studentId.student;
+    }
+    
     // Ensure studentId is properly populated
     if (testHistory.studentId && typeof testHistory.studentId === 'string') {
       console.log(`Test ${testId} has unpopulated studentId: ${testHistory.studentId}`);
@@ -3321,6 +7726,8 @@ app.get('/admin/test-history/:testId', authenticateToken, adminOnly, async (req,
       }
     }
     
+    await addTestTopicNames([testHistory]);
+
     console.log(`Returning test history with score: ${testHistory.score}%`);
     res.json(testHistory);
   } catch (error) {
@@ -3330,26 +7737,14 @@ app.get('/admin/test-history/:testId', authenticateToken, adminOnly, async (req,
 });
 
 // Add a new endpoint to get student profile info
-app.get('/student/profile', authenticateToken, studentOnly, async (req, res) => {
+app.get('/student/profile', authenticateToken, requirePermission('tests:take'), async (req, res) => {
   try {
     console.log('Fetching student profile for user:', req.user.userId);
     
-    // Try to find the student directly
-    let student = await Student.findById(req.user.userId).lean();
-    
-    // If not found by ID, try by studentId field
-    if (!student) {
-      student = await Student.findOne({ studentId: req.user.userId }).lean();
-      console.log('Student lookup by studentId field result:', student ? 'Found' : 'Not found');
-    }
-    
-    // If still not found, try by username
-    if (!student) {
-      student = await Student.findOne({ username: req.user.username }).lean();
-      console.log('Student lookup by username result:', student ? 'Found' : 'Not found');
-    }
+    const studentDoc = await findStudentForUser(req.user);
+    let student = studentDoc ? studentDoc.toObject() : null;
     
-    // If still no student record, create a temporary one from token
+    // If no student record, create a temporary one from token
     if (!student) {
       console.log('No student record found, creating one from token');
       student = {